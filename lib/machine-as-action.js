@@ -4,13 +4,100 @@
 
 var util = require('util');
 var Stream = require('stream');
+var EventEmitter = require('events').EventEmitter;
 var _ = require('@sailshq/lodash');
 var Streamifier = require('streamifier');
 var rttc = require('rttc');
 var flaverr = require('flaverr');
 var Machine = require('machine');
 var normalizeResponses = require('./private/normalize-responses');
+var normalizeInputSources = require('./private/normalize-input-sources');
+var getPinnedArgin = require('./private/get-pinned-argin');
 var getOutputExample = require('./private/get-output-example');
+var checkOutputExampleCompatibility = require('./private/check-output-example-compatibility');
+var negotiateMediaType = require('./private/negotiate-media-type');
+var checkConditionalGet = require('./private/check-conditional-get');
+var buildAbortController = require('./private/build-abort-controller');
+var buildProblemDetails = require('./private/build-problem-details');
+var buildInputProblems = require('./private/build-input-problems');
+var normalizeLocales = require('./private/normalize-locales');
+var buildTranslator = require('./private/build-translator');
+var normalizeRateLimit = require('./private/normalize-rate-limit');
+var normalizeGuards = require('./private/normalize-guards');
+var normalizeIdempotent = require('./private/normalize-idempotent');
+var normalizeCache = require('./private/normalize-cache');
+var normalizeCoalesce = require('./private/normalize-coalesce');
+var buildResponseCache = require('./private/build-response-cache');
+var isItemSource = require('./private/is-item-source');
+var writeItems = require('./private/write-items');
+var buildEmitterIterable = require('./private/build-emitter-iterable');
+var getArginsFingerprint = require('./private/get-argins-fingerprint');
+var lifecycleEvents = require('./private/lifecycle-events');
+var buildMetricsRegistry = require('./private/build-metrics-registry');
+var buildTracer = require('./private/build-tracer');
+var buildTraceContext = require('./private/build-trace-context');
+var buildOpenApiDocument = require('./private/build-open-api-document');
+
+
+/**
+ * The built-in adapters, keyed by identity.
+ * (See `lib/private/adapters/express.js` for more about adapters.)
+ * @type {Dictionary}
+ */
+var ADAPTERS = {
+  express: require('./private/adapters/express'),
+  http: require('./private/adapters/http'),
+  koa: require('./private/adapters/koa')
+};
+
+
+/**
+ * The per-action hook (option) for each lifecycle event that has one.
+ * (See `./private/lifecycle-events.js` for details about each event.)
+ * @type {Dictionary}
+ */
+var LIFECYCLE_HOOKS = {
+  request: 'onRequest',
+  exit: 'onExit',
+  responseError: 'onResponseError'
+};
+
+
+/**
+ * The tracer, which creates a span for every action run once enabled.
+ * (Exposed as `machineAsAction.tracing`.)
+ * @type {Dictionary}
+ */
+var tracing = buildTracer();
+
+
+/**
+ * The cache for actions that use the `cache` option.
+ * (Exposed as `machineAsAction.cache`.)
+ * @type {Dictionary}
+ */
+var responseCache = buildResponseCache();
+
+
+/**
+ * Response headers that aren't saved (and replayed) along w/ idempotent responses.
+ * @type {Array}
+ */
+var NON_REPLAYABLE_HEADERS = [
+  'connection',
+  'content-length',
+  'date',
+  'keep-alive',
+  'transfer-encoding',
+  'set-cookie',
+  'x-exit',
+  'traceparent',
+  'idempotent-replayed',
+  'ratelimit-limit',
+  'ratelimit-remaining',
+  'ratelimit-reset',
+  'retry-after'
+];
 
 // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
 // FUTURE: Pull this into Sails core to ease maintenance.
@@ -91,6 +178,139 @@ var getOutputExample = require('./private/get-output-example');
  *                     if set, then simulate a latency of the specified number of milliseconds (e.g. 500)
  *                     @default 0
  *
+ *           @optional {Boolean} strictOutput
+ *                     if set, then before sending a response, validate the output from the exit against
+ *                     the exit's output example, logging a report about any mismatch.  (The output is
+ *                     sent the same way either way-- it is only checked, not coerced.)
+ *                     @default true (except in production, i.e. when process.env.NODE_ENV === 'production')
+ *
+ *           @optional {Boolean} rejectInvalidOutput
+ *                     if set (and `strictOutput` is enabled), then respond with a 500 error instead of
+ *                     sending output that doesn't match the exit's output example.  This is never done
+ *                     in production-- there, mismatched output is just logged.
+ *                     @default false
+ *
+ *           @optional {Boolean} etag
+ *                     if set, then for successful GET and HEAD requests handled by a standard
+ *                     exit, compute a strong ETag from the serialized output, and respond w/ a
+ *                     304 (without a body) if it matches the request's `If-None-Match` header.
+ *                     @default false
+ *
+ *           @optional {String} lastModified
+ *                     if set, this is the name of a field in the output (e.g. 'updatedAt') to
+ *                     use as the `Last-Modified` date for successful GET and HEAD requests handled
+ *                     by a standard exit.  (Respond w/ a 304 if the request's `If-Modified-Since`
+ *                     header is at least as recent.)
+ *                     @default undefined
+ *
+ *           @optional {Number} timeout
+ *                     if set, then if none of the action's exits have been called within this
+ *                     many milliseconds, respond on its behalf (see `timeoutExit`).  Any exit
+ *                     called after that is ignored (with a warning).
+ *                     (Only if the machine definition is provided as `machine`.  Otherwise, a
+ *                     top-level `timeout` is the machine's own, and is left to the machine runner.)
+ *                     @default undefined (no timeout)
+ *
+ *           @optional {String} timeoutExit
+ *                     the code name of the exit to respond through when the action times out.
+ *                     If unspecified, a timed-out action responds with a 503 error.
+ *                     @default undefined
+ *
+ *           @optional {Boolean} problemDetails
+ *                     if set, then respond to validation errors, the `error` exit, and any other exit
+ *                     w/ an error status code (>= 400) by sending an RFC 7807 "Problem Details" document
+ *                     (`application/problem+json`).  The exit's `description` and `moreInfoUrl` are
+ *                     used as the `title` and `type`.
+ *                     @default false
+ *
+ *           @optional {Function} onInvalidParams
+ *                     if set, then this function decides how to respond to a request w/ missing or
+ *                     invalid parameters (instead of sending the default 400 response).  It receives:
+ *                       • a report (`code`, `message`, `problems`, `inputProblems`-- i.e. the same
+ *                         problems, structured per input, `invalidParams`-- i.e. the problems grouped
+ *                         by input code name, and `argins`-- as they were originally received)
+ *                       • `req`
+ *                       • `res`
+ *                     @default undefined
+ *
+ *           @optional {Dictionary} invalidParamsResponse
+ *                     a response directive for requests w/ missing or invalid parameters (like those of
+ *                     an exit).  Set `responseType: 'view'` and a `viewTemplatePath` to render a view,
+ *                     using the report described above as view locals.  (`statusCode` defaults to 400.)
+ *                     @default undefined (standard response)
+ *
+ *           @optional {Ref} adapter
+ *                     which framework (or lack thereof) this action will handle requests from.
+ *                     Either the identity of a built-in adapter ('express', 'http', or 'koa'),
+ *                     or a custom adapter.  (See `lib/private/adapters/express.js` for details.)
+ *                     @default 'express' (works w/ Sails and Express)
+ *
+ *           @optional {Dictionary} locales
+ *                     message catalogue bundles, keyed by locale (e.g. `{ fr: {...} }`), for localizing
+ *                     the messages in responses (and some logs).  The locale for each request is
+ *                     determined by `req.getLocale()` (i.e. Sails i18n), or by the `Accept-Language`
+ *                     header otherwise.  (See `lib/private/locales/en.js` for the available messages.)
+ *                     @default undefined (English only)
+ *
+ *           @optional {Dictionary} rateLimit
+ *                     if set, then limit how many requests this action will handle (per key-- e.g. per IP
+ *                     address) in a window of time.  Requests over the limit get a 429 response (or respond
+ *                     through the configured `exit`) without running the action.
+ *                       • `windowMs` (required)-- the length of the window, in milliseconds
+ *                       • `max` (required)-- the number of requests allowed per window
+ *                       • `key`-- 'ip' (default), 'input:<input code name>', 'session:<key>', or a function
+ *                       • `store`-- where to keep track of hits (defaults to an in-memory store)
+ *                       • `exit`-- an exit to respond through (defaults to `tooManyRequests`, if it exists)
+ *                     (See `lib/private/normalize-rate-limit.js` for details.)
+ *                     @default undefined (no rate limit)
+ *
+ *           @optional {Array} guards
+ *                     an ordered list of machines (or machine definitions) to run before the action's `fn`
+ *                     (e.g. to check that the requesting user is logged in).  Each guard receives the same
+ *                     argins and `env` as the action.  If a guard exits `success`, its output (if it is a
+ *                     dictionary) is merged into `env`, and the next guard (or the action) is run.  Otherwise,
+ *                     the action responds through that exit-- which is added to the action's own exits (so
+ *                     its `responseType`, `statusCode`, etc. work the same way).  If the action has an exit
+ *                     with the same code name, the action's exit is used instead.
+ *                     @default undefined (no guards)
+ *
+ *           @optional {Boolean|Dictionary} idempotent
+ *                     if set, then POST and PATCH requests w/ an `Idempotency-Key` header are only run
+ *                     once per key: the response is saved, and replayed for retries w/ the same key (and
+ *                     argins).  Retries that arrive while the original is still running get a 409, and
+ *                     retries w/ different argins get a 422.  Either `true`, or a dictionary:
+ *                       • `store`-- where to save responses (defaults to an in-memory store)
+ *                       • `ttlMs`-- how long to remember each response (defaults to 24 hours)
+ *                     (See `lib/private/build-memory-idempotency-store.js` for details.)
+ *                     @default undefined
+ *
+ *           @optional {Dictionary} cache
+ *                     if set, then responses to GET and HEAD requests are cached (in memory) by argins, and
+ *                     cache hits are served w/o running the machine (guards still run).  Responses are marked
+ *                     w/ an `X-Cache` header (`HIT` or `MISS`).  A dictionary:
+ *                       • `ttl`-- how long to cache each response, in milliseconds
+ *                       • `varyBy`-- other things each response depends on ('header:<name>' or 'session:<key>')
+ *                       • `exits`-- the exits whose responses may be cached (defaults to `['success']`)
+ *                     Cached responses can be invalidated w/ `machineAsAction.cache.invalidate(identity)`.
+ *                     (See `lib/private/normalize-cache.js` for details.)
+ *                     @default undefined
+ *
+ *           @optional {Boolean|Dictionary} coalesce
+ *                     if set, then concurrent GET and HEAD requests w/ the same argins share a single run
+ *                     of the machine: its exit and output are sent to every waiting request.  Either `true`,
+ *                     or a dictionary w/ `varyBy` (like the `cache` option's).  Actions w/ exits that
+ *                     might send a stream can't use this.
+ *                     (See `lib/private/normalize-coalesce.js` for details.)
+ *                     @default undefined
+ *
+ *           @optional {Function} onRequest
+ *           @optional {Function} onExit
+ *           @optional {Function} onResponseError
+ *                     hooks for this action's `request`, `exit`, and `responseError` lifecycle events.  Each
+ *                     receives the same dictionary as listeners of the global emitter (`machineAsAction.events`).
+ *                     (See `lib/private/lifecycle-events.js` for details.)
+ *                     @default undefined
+ *
  *           @optional {Boolean} logDebugOutputFn
  *                     An optional override function to call when any output other than `undefined` is
  *                     received from a void exit (i.e. an exit w/ no outputExample).
@@ -128,12 +348,38 @@ module.exports = function machineAsAction(optsOrMachineDef) {
     'disableXExitHeader',
     'simulateLatency',
     'logDebugOutputFn',
+    'strictOutput',
+    'rejectInvalidOutput',
+    'etag',
+    'lastModified',
+    'timeout',
+    'timeoutExit',
+    'problemDetails',
+    'onInvalidParams',
+    'invalidParamsResponse',
+    'adapter',
+    'locales',
+    'rateLimit',
+    'guards',
+    'idempotent',
+    'cache',
+    'coalesce',
+    'onRequest',
+    'onExit',
+    'onResponseError',
     'implementationSniffingTactic',
     'responses'//<< deprecated, will be removed soon!
   ];
   if (!optsOrMachineDef.machine) {
     machineDef = optsOrMachineDef;
-    options = _.pick(optsOrMachineDef, MISC_OPTIONS);
+    // (A top-level `timeout` is the machine's own `timeout` property, so it is left to the machine
+    // runner.  To use our `timeout` option, the machine definition must be provided as `machine`.)
+    options = _.pick(optsOrMachineDef, _.without(MISC_OPTIONS, 'timeout'));
+    // The machine runner refuses definitions w/ an `idempotent` property (it's the legacy name
+    // for `sideEffects: 'idempotent'`), so don't pass our option of the same name along to it.
+    if (_.has(machineDef, 'idempotent')) {
+      machineDef = _.omit(machineDef, 'idempotent');
+    }
   }
   else {
     machineDef = optsOrMachineDef.machine;
@@ -154,6 +400,8 @@ module.exports = function machineAsAction(optsOrMachineDef) {
   // Set up default options:
   options = _.defaults(options, {
     simulateLatency: 0,
+    strictOutput: !IS_RUNNING_IN_PRODUCTION,
+    rejectInvalidOutput: false,
     // Note that the default implementation of `logDebugOutputFn` is inline below
     // (this is so that it has closure scope access to `req._sails`)
   });
@@ -198,9 +446,12 @@ module.exports = function machineAsAction(optsOrMachineDef) {
       // (Note that this is fine for production in some cases-- e.g. static views.)
 
       // Look up the output example for the success exit.
+      // (Note that we pass in the runtime argins and env, in case it's dynamic-- e.g. `getExample`)
       var successExitOutputExample = getOutputExample({
         machineDef: machineDef,
-        exitCodeName: 'success'
+        exitCodeName: 'success',
+        argins: inputs,
+        env: this
       });
 
       // If there's no output example, just exit through the success exit w/ no output.
@@ -220,10 +471,7 @@ module.exports = function machineAsAction(optsOrMachineDef) {
         // a stub (i.e. fake data) then log a warning about this happening.
         // (since you probably don't actually want this to happen)
         if (IS_RUNNING_IN_PRODUCTION) {
-          console.warn('Using stub implementation for action (`'+machineDef.identity+'`) because it has no `fn`!\n'+
-          'That means the output sent from this action will be completely fake!  To do this, using the `outputExample` '+
-          'from the success exit and using that as output.\n'+
-          '(This warning is being logged because you are in a production environment according to NODE_ENV)');
+          console.warn(buildTranslator(this.req, catalogues)('stubWarning', { identity: machineDef.identity }));
         }//</if production>
         //>-
 
@@ -263,6 +511,23 @@ module.exports = function machineAsAction(optsOrMachineDef) {
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
 
 
+  // If any guards were provided, build them, and add their exits (other than `success` and `error`)
+  // to the action's own exits, so that they can be responded through in exactly the same way.
+  // (If the action already has an exit w/ the same code name, the action's exit takes precedence.)
+  var guards = [];
+  if (!_.isUndefined(options.guards)) {
+    guards = normalizeGuards(options.guards, machineDef.inputs || {}, options);
+    machineDef.exits = _.clone(machineDef.exits);
+    _.each(guards, function(wetGuard) {
+      _.each(wetGuard.getDef().exits, function(guardExitDef, exitCodeName) {
+        if (exitCodeName === 'success' || exitCodeName === 'error' || _.has(machineDef.exits, exitCodeName)) {
+          return;
+        }
+        machineDef.exits[exitCodeName] = _.clone(guardExitDef);
+      });//∞
+    });//∞
+  }//>-
+
 
   // Build Callable (aka "wet" machine instance)
   // (This is just like a not-yet-configured "part" or "machine instruction".)
@@ -279,7 +544,7 @@ module.exports = function machineAsAction(optsOrMachineDef) {
   // request. (e.g. non-dyamic things like status code, response type, view name, etc)
   var responses;
   try {
-    responses = normalizeResponses(options.responses || {}, wetMachine.getDef().exits);
+    responses = normalizeResponses(options.responses || {}, wetMachine.getDef().exits, wetMachine.getDef().inputs);
   } catch (e) {
     switch (e.code) {
       case 'E_INVALID_RES_METADATA_IN_EXIT_DEF':
@@ -293,6 +558,94 @@ module.exports = function machineAsAction(optsOrMachineDef) {
   // for `options.responses`, it will be irreversibly modified.  Also the exits in the
   // machine definition will be irreversibly modified.
 
+  // Validate any input source metadata (i.e. `in: 'header'`) up front, so that we don't find out
+  // about problems with it at runtime.  (Like `normalizeResponses()`, this is destructive.)
+  normalizeInputSources(wetMachine.getDef().inputs, options);
+
+  // Look up the adapter.
+  // (Either the identity of one of the built-in adapters, or a custom adapter.)
+  var adapter;
+  if (_.isUndefined(options.adapter)) {
+    adapter = ADAPTERS.express;
+  }
+  else if (_.isString(options.adapter) && ADAPTERS[options.adapter]) {
+    adapter = ADAPTERS[options.adapter];
+  }
+  else if (_.isObject(options.adapter) && _.isFunction(options.adapter.buildHandler)) {
+    adapter = options.adapter;
+  }
+  else {
+    throw new Error('If specified, `adapter` should be either the identity of a built-in adapter (\''+_.keys(ADAPTERS).join('\', \'')+'\'), or a custom adapter (a dictionary with a `buildHandler` function).  But instead, got: '+util.inspect(options.adapter,{depth:null}));
+  }
+
+  // Validate the `onInvalidParams` option and `invalidParamsResponse` directive, if provided.
+  if (!_.isUndefined(options.onInvalidParams) && !_.isFunction(options.onInvalidParams)) {
+    throw new Error('If specified, `onInvalidParams` should be a function that decides how to respond to a request with missing or invalid parameters.  But instead, got: '+util.inspect(options.onInvalidParams,{depth:null}));
+  }
+  if (!_.isUndefined(options.invalidParamsResponse)) {
+    if (!_.isPlainObject(options.invalidParamsResponse) || !_.contains(['', 'view'], options.invalidParamsResponse.responseType)) {
+      throw new Error('If specified, `invalidParamsResponse` should be a dictionary w/ a `responseType` of either \'\' (standard) or \'view\'.  But instead, got: '+util.inspect(options.invalidParamsResponse,{depth:null}));
+    }
+    if (options.invalidParamsResponse.responseType === 'view' && (!_.isString(options.invalidParamsResponse.viewTemplatePath) || options.invalidParamsResponse.viewTemplatePath === '')) {
+      throw new Error('`invalidParamsResponse` is configured to respond w/ a view, so it should have a `viewTemplatePath` (the relative path to a view file from the `views/` directory, minus the extension).');
+    }
+    if (!_.isUndefined(options.invalidParamsResponse.statusCode) && (!_.isNumber(options.invalidParamsResponse.statusCode) || options.invalidParamsResponse.statusCode < 100 || options.invalidParamsResponse.statusCode > 599)) {
+      throw new Error('If specified, the `statusCode` of `invalidParamsResponse` should be a valid HTTP status code (e.g. 422).  But instead, got: '+util.inspect(options.invalidParamsResponse.statusCode,{depth:null}));
+    }
+  }//>-
+
+  // Validate the `timeout` and `timeoutExit` options, if provided.
+  if (!_.isUndefined(options.timeout) && (!_.isNumber(options.timeout) || _.isNaN(options.timeout) || options.timeout <= 0)) {
+    throw new Error('If specified, `timeout` should be a positive number of milliseconds (e.g. 30000).  But instead, got: '+util.inspect(options.timeout,{depth:null}));
+  }
+  if (!_.isUndefined(options.timeoutExit)) {
+    if (_.isUndefined(options.timeout)) {
+      throw new Error('`timeoutExit` was specified, but it is only relevant if `timeout` is also specified.  (Note that if the machine definition is provided at the top level, then its `timeout` is the machine\'s own.  To use the `timeout` option, provide the machine definition as `machine` instead.)');
+    }
+    if (!_.isString(options.timeoutExit) || !responses[options.timeoutExit]) {
+      throw new Error('If specified, `timeoutExit` should be the code name of one of this action\'s exits (e.g. \'tookTooLong\').  But instead, got: '+util.inspect(options.timeoutExit,{depth:null}));
+    }
+  }//>-
+
+  // Validate the `rateLimit` option (if provided) and fill in its defaults (e.g. the store).
+  if (!_.isUndefined(options.rateLimit)) {
+    options.rateLimit = normalizeRateLimit(options.rateLimit, responses, wetMachine.getDef().inputs);
+  }//>-
+
+  // Validate the `idempotent` option (if provided) and fill in its defaults (e.g. the store).
+  if (!_.isUndefined(options.idempotent)) {
+    options.idempotent = normalizeIdempotent(options.idempotent);
+  }//>-
+
+  // Keep track of whether any of the exits send Server-Sent Events.
+  // (If so, the `Last-Event-ID` header may be used for a `lastEventId` input.)
+  var hasSseExit = _.any(responses, { responseType: 'sse' });
+
+  // Validate the `cache` option (if provided) and fill in its defaults.
+  if (!_.isUndefined(options.cache)) {
+    options.cache = normalizeCache(options.cache, responses, wetMachine.getDef().inputs, options.files);
+  }//>-
+
+  // If so, this action gets its own store of cached responses.
+  var actionCache = options.cache ? responseCache.register(machineDef.identity) : undefined;
+
+  // Validate the `coalesce` option (if provided) and fill in its defaults.
+  // (Runs of the machine that requests are currently sharing are tracked in `coalescedRunsByKey`.)
+  var coalescedRunsByKey = {};
+  if (!_.isUndefined(options.coalesce)) {
+    options.coalesce = normalizeCoalesce(options.coalesce, responses, wetMachine.getDef().inputs, options.files);
+  }//>-
+
+  // Validate the lifecycle hooks, if provided.
+  _.each(_.values(LIFECYCLE_HOOKS), function(hookName) {
+    if (!_.isUndefined(options[hookName]) && !_.isFunction(options[hookName])) {
+      throw new Error('If specified, `'+hookName+'` should be a function.  But instead, got: '+util.inspect(options[hookName],{depth:null}));
+    }
+  });//∞
+
+  // Validate the `locales` option (if provided) and build the message catalogues.
+  var catalogues = normalizeLocales(options.locales);
+
 
   //  ██████╗ ██╗   ██╗██╗██╗     ██████╗      █████╗  ██████╗████████╗██╗ ██████╗ ███╗   ██╗
   //  ██╔══██╗██║   ██║██║██║     ██╔══██╗    ██╔══██╗██╔════╝╚══██╔══╝██║██╔═══██╗████╗  ██║
@@ -306,33 +659,70 @@ module.exports = function machineAsAction(optsOrMachineDef) {
    * `_requestHandler()`
    *
    * At runtime, this code will be invoked each time the router receives a request and sends it to this action.
+   * (By way of the adapter-- which is responsible for providing Express-style `req` and `res` objects.)
    * --------------------------------------------------------------------------------------------------------------
    * @param  {Request} req
    * @param  {Response} res
    */
-  var action = function _requestHandler(req, res) {
+  var handleRequest = function _requestHandler(req, res) {
+
+    var requestStartedAt = Date.now();
+
+    // Emit a lifecycle event, both globally and to the corresponding per-action hook (if there is
+    // one).  The event data always includes the action's identity, `req`, and `res`.  Returns whether
+    // anything was listening.  (Errors thrown by listeners are logged, but otherwise ignored-- so
+    // one listener throwing doesn't keep the others from hearing about the event.)
+    var _emitLifecycleEvent = function(eventName, data) {
+      var event = _.extend({ identity: machineDef.identity, req: req, res: res }, data);
+      var hook = options[LIFECYCLE_HOOKS[eventName]];
+      var wasHandled = !!hook || _.any(lifecycleEvents.listeners(eventName), function(listener) { return !listener.isPassive; });
+
+      // (Where available, use the raw listeners, so that any `.once()` listeners are removed as usual.)
+      var globalListeners = _.isFunction(lifecycleEvents.rawListeners) ? lifecycleEvents.rawListeners(eventName) : lifecycleEvents.listeners(eventName);
+      var _callListener = function(listener, context) {
+        try {
+          listener.call(context, event);
+        } catch (e) {
+          console.error('A listener for the `'+eventName+'` lifecycle event (action: `'+machineDef.identity+'`) threw an error.  Proceeding anyway...  Error details:', e);
+        }
+      };//ƒ
+      _.each(globalListeners, function(listener) {
+        _callListener(listener, lifecycleEvents);
+      });//∞
+      if (hook) {
+        _callListener(hook);
+      }
+      return wasHandled;
+    };//ƒ
+
+    _emitLifecycleEvent('request', { startedAt: requestStartedAt });
+
+    // If tracing is enabled, continue the trace from the incoming `traceparent` header (or start a
+    // new trace), start a span for this action run, and send back the new `traceparent`.
+    var traceContext;
+    var span;
+    if (tracing.isEnabled()) {
+      traceContext = buildTraceContext(req.get('traceparent'), req.get('tracestate'));
+      span = tracing.startSpan({
+        name: machineDef.identity,
+        traceContext: traceContext,
+        attributes: {
+          'machine_as_action.identity': machineDef.identity,
+          'http.method': req.method,
+          'http.target': req.path
+        }
+      });
+      res.set('traceparent', traceContext.traceparent);
+    }//>-
+
+    // Pick the message catalogue for this request's locale.
+    var t = buildTranslator(req, catalogues);
 
     // Set up a local variable that will be used to hold the "live machine"
     // (which is a lot like a configured part or machine instruction)
     var deferred;
 
 
-    // Validate `req` and `res`
-    ///////////////////////////////////////////////////////////////////////////////////////////////////
-    // Note: we really only need to do these checks once, but they're a neglible hit to performance,
-    // and the extra µs is worth it to ensure continued compatibility when coexisting with other
-    // middleware, policies, frameworks, packages, etc. that might tamper with the global `req`
-    // object (e.g. Passport).
-    ///////////////////////////////////////////////////////////////////////////////////////////////////
-
-    // Sails/Express App Requirements
-    if (!res.json) {
-      throw new Error('Needs `res.json()` to exist (i.e. a Sails.js or Express app)');
-    }
-    if (!res.send) {
-      throw new Error('Needs `res.send()` to exist (i.e. a Sails.js or Express app)');
-    }
-
     // Specify arguments (aka "input configurations") for the machine.
     ///////////////////////////////////////////////////////////////////////////////////////////////
     //
@@ -346,6 +736,12 @@ module.exports = function machineAsAction(optsOrMachineDef) {
     //       ° The querystring (e.g. `?foo=some%20string`)
     //       ° The request body (may be URL-encoded or JSON-serialized)
     //
+    //      - Alternatively, an input can pin down exactly where it comes from by declaring
+    //        `in: 'path'`, `in: 'query'`, or `in: 'body'` (and optionally `name`).  Pinned inputs
+    //        are read ONLY from that source-- and if the same parameter shows up anywhere else
+    //        (e.g. a body field trying to shadow a `:id` route param), it is treated as a validation
+    //        problem.  Inputs can also be pinned to `in: 'cookie'` or `in: 'session'`.
+    //
     //  (2) FILES:
     //      Use one or more incoming file upstreams as an argument.
     //      - Upstreams are multifile upload streams-- they are like standard multipart file upload
@@ -368,14 +764,21 @@ module.exports = function machineAsAction(optsOrMachineDef) {
     //        will refuse to rig this machine.
     //
     //  (3) HEADERS:
-    //      Use an HTTP request headers as an argument.   (-NOT YET SUPPORTED-)
+    //      Use an HTTP request header as an argument.
+    //      - To source an input from a header, declare `in: 'header'` in its input definition, and
+    //        optionally `name` (the name of the header, e.g. 'X-Api-Version').  If `name` is omitted,
+    //        the input's code name is used.  (This maps as closely as possible to Swagger's syntax--
+    //        not just for familiarity, but also to maintain and strengthen the underlying conventions.)
     //      - Any receiving input(s) may continue to be either required or optional, but they must
-    //        declare a string example.
+    //        expect a string, number, boolean, or JSON (since header values are always strings,
+    //        they'll be validated and coerced just like any other parameter).
     //
     ///////////////////////////////////////////////////////////////////////////////////////////////
 
     // Build `argins` (aka input configurations), a dictionary that maps each input's codeName to the
-    // appropriate argument.
+    // appropriate argument.  Along the way, keep track of any problems with pinned inputs (i.e. params
+    // that were sent from the wrong place.)
+    var misplacedParams = [];
     var argins = _.reduce(wetMachine.getDef().inputs, function (memo, inputDef, inputCodeName) {
 
       // If this input is called out by the `urlWildcardSuffix`, then we understand it as "*" from the
@@ -390,20 +793,39 @@ module.exports = function machineAsAction(optsOrMachineDef) {
       if (options.urlWildcardSuffix && options.urlWildcardSuffix === inputCodeName ) {
         memo[inputCodeName] = req.param('0');
       }
+      // If this input declares exactly where it comes from (e.g. a request header, or only the
+      // querystring), then look it up there, and only there.
+      else if (inputDef.in) {
+        var pinned = getPinnedArgin(req, inputCodeName, inputDef);
+        memo[inputCodeName] = pinned.argin;
+        if (pinned.problem) {
+          misplacedParams.push({ input: inputCodeName, problem: pinned.problem });
+        }
+      }
       // Otherwise, this is just your standard, run of the mill parameter.
       else {
         memo[inputCodeName] = req.param(inputCodeName);
+
+        // When a user agent reconnects to an action that sends Server-Sent Events, it sends the ID of
+        // the last event it received as the `Last-Event-ID` header.  So if the action has a `lastEventId`
+        // input (and it wasn't sent as a parameter), use that.
+        if (inputCodeName === 'lastEventId' && hasSseExit && _.isUndefined(memo[inputCodeName]) && req.get('last-event-id')) {
+          memo[inputCodeName] = req.get('last-event-id');
+        }
       }
 
+      // The special cases below only apply to parameters that could have come from the querystring.
+      var queryParamName = !inputDef.in ? inputCodeName : inputDef.in === 'query' ? inputDef.name : undefined;
+
       // If a querystring-encoded parameter comes in as "" (empty string) for an input expecting a boolean
       // value, interpret that special case as `true`.
-      if (inputDef.type === 'boolean' && req.query && req.query[inputCodeName] === '') {
+      if (queryParamName && inputDef.type === 'boolean' && req.query && req.query[queryParamName] === '') {
         memo[inputCodeName] = true;
       }
 
       // If a querystring-encoded parameter comes in as "" (empty string) for an input expecting a NUMERIC value,
       // then tolerate that by ignoring the value altogether.
-      if (inputDef.type === 'number' && req.query && req.query[inputCodeName] === '') {
+      if (queryParamName && inputDef.type === 'number' && req.query && req.query[queryParamName] === '') {
         delete memo[inputCodeName];
       }
 
@@ -429,11 +851,13 @@ module.exports = function machineAsAction(optsOrMachineDef) {
       });//∞
     }//ﬁ
 
-    // Eventually, we may consider implementing support for sourcing inputs from headers.
-    //  (if so, we'll likely map as closely as possible to Swagger's syntax --
-    //   not just for familiarity, but also to maintain and strengthen the underlying
-    //   conventions)
-
+    // Keep a (shallow) copy of the argins as they were received, before the machine runner
+    // validates and coerces them.  (In case they're needed for responding to invalid params.)
+    var originalArgins = _.clone(argins);
+    _emitLifecycleEvent('argins', { argins: originalArgins });
+    if (span) {
+      span.setAttributes({ 'machine_as_action.input_names': _.keys(_.omit(originalArgins, _.isUndefined)) });
+    }
 
     // Pass argins to the machine.
     deferred = wetMachine(argins);
@@ -442,10 +866,77 @@ module.exports = function machineAsAction(optsOrMachineDef) {
     // Build and set metadata (aka "context" aka "habitat vars")
     ///////////////////////////////////////////////////////////////////////////////////////////////
 
-    // Provide `this.req` and `this.res`
+    // Watch for the requesting user agent to disconnect before we've responded (e.g. because the
+    // user navigated away from the page), and expose a cancellation signal as `env.abortSignal`.
+    // This way, long-running actions can stop what they're doing early.
+    var abortController = buildAbortController();
+    var wasAborted = false;
+    var _handleClientDisconnect = function() {
+      if (wasAborted || res.finished) { return; }
+      wasAborted = true;
+      clearTimeout(timeoutTimer);
+      if (coalescedRun) {
+        coalescedRun.release(callbacks);
+        coalescedRun = undefined;
+      }
+      if (span) {
+        span.setAttributes({ 'machine_as_action.aborted': true });
+        span.end('error');
+      }
+      abortController.abort(flaverr({
+        name: 'AbortError',
+        code: 'E_REQUEST_ABORTED',
+        message: 'The requesting user agent disconnected before a response could be sent.'
+      }, new Error()));
+    };//ƒ
+    if (_.isFunction(req.on)) {
+      req.on('aborted', _handleClientDisconnect);
+    }
+    if (_.isFunction(res.on)) {
+      res.on('close', _handleClientDisconnect);
+    }
+
+    // Once the response has been sent, emit a `response` lifecycle event (and end the span, if any).
+    // If the connection closes before that (e.g. partway through sending a response), then any
+    // idempotency claim is released instead-- otherwise retries would be turned away until it expired.
+    if (_.isFunction(res.once)) {
+      var hasResponseFinished = false;
+      res.once('close', function() {
+        if (hasResponseFinished) { return; }
+        _releaseIdempotencyClaim();
+      });
+      res.once('finish', function() {
+        hasResponseFinished = true;
+        var respondedThroughExit = (exitAttempts.length > 0 && exitAttempts[0].charAt(0) !== '(') ? exitAttempts[0] : undefined;
+        _emitLifecycleEvent('response', {
+          exitCodeName: respondedThroughExit,
+          statusCode: res.statusCode,
+          duration: Date.now() - requestStartedAt
+        });
+        if (span) {
+          span.setAttributes({ 'machine_as_action.exit': respondedThroughExit, 'http.status_code': res.statusCode });
+          span.end(res.statusCode >= 500 ? 'error' : 'ok');
+        }
+        _settleIdempotencyClaim(res.statusCode, _.isFunction(res.getHeaders) ? res.getHeaders() : {});
+      });
+    }
+
+    // If the `problemDetails` option is enabled, this is used to send error responses as
+    // RFC 7807 "Problem Details" documents (i.e. `application/problem+json`).
+    var _sendProblemDetails = function(problemDetailsOpts) {
+      var problemDetails = buildProblemDetails(_.extend({
+        instance: req.path
+      }, problemDetailsOpts));
+      res.status(problemDetails.status);
+      res.set('Content-Type', 'application/problem+json');
+      return res.send(JSON.stringify(problemDetails));
+    };//ƒ
+
+    // Provide `this.req`, `this.res`, and `this.abortSignal`
     var _meta = {
       req: req,
-      res: res
+      res: res,
+      abortSignal: abortController.signal
     };
 
     // If this is a Sails app, provide `this.sails` for convenience.
@@ -453,6 +944,12 @@ module.exports = function machineAsAction(optsOrMachineDef) {
       _meta.sails = req._sails;
     }
 
+    // If tracing is enabled, provide `this.traceContext` (e.g. so that its `traceparent` can be
+    // sent along w/ outbound HTTP requests).
+    if (traceContext) {
+      _meta.traceContext = traceContext;
+    }
+
     // Set context for machine `fn`.
     deferred.meta(_meta);
 
@@ -598,6 +1095,53 @@ module.exports = function machineAsAction(optsOrMachineDef) {
     // (it tracks the code names of _which_ exit(s) were already triggered)
     var exitAttempts = [];
 
+    // If the `idempotent` option is in use, and this request claimed its idempotency key, this keeps
+    // track of the claim (and how the machine responded), so that the response can be saved once it's
+    // been sent.  Only responses from the machine itself (i.e. after it started running) are saved.
+    // Otherwise, the claim is released (so that the key can be used again).
+    var idempotencyClaim;
+    var hasMachineStarted = false;
+
+    // If the `cache` option is in use, and there was no cached response for this request, this is
+    // the key to cache the response under.  (Only responses from the machine itself are cached.)
+    var cacheKey;
+
+    // If the `coalesce` option is in use, this is the run of the machine this request is sharing
+    // w/ other requests, if any.  (See `_runGuard()` below.)
+    var coalescedRun;
+    var _settleIdempotencyClaim = function(statusCode, headers) {
+      if (!idempotencyClaim || idempotencyClaim.isSettled) { return; }
+      idempotencyClaim.isSettled = true;
+      var _logIfError = function(err) {
+        if (err) { console.error('Could not save the response for idempotency key `'+idempotencyClaim.key+'`.  Error details:', err); }
+      };//ƒ
+      if (_.isUndefined(idempotencyClaim.exitCodeName)) {
+        return options.idempotent.store.remove(idempotencyClaim.storeKey, _logIfError);
+      }
+      return options.idempotent.store.set(idempotencyClaim.storeKey, {
+        status: 'completed',
+        fingerprint: idempotencyClaim.fingerprint,
+        response: {
+          exitCodeName: idempotencyClaim.exitCodeName,
+          statusCode: statusCode,
+          headers: _.omit(headers, function(headerValue, headerName) {
+            return _.contains(NON_REPLAYABLE_HEADERS, headerName.toLowerCase());
+          }),
+          body: idempotencyClaim.body
+        }
+      }, options.idempotent.ttlMs, _logIfError);
+    };//ƒ
+    var _releaseIdempotencyClaim = function() {
+      if (!idempotencyClaim) { return; }
+      idempotencyClaim.exitCodeName = undefined;
+      _settleIdempotencyClaim();
+    };//ƒ
+
+    // If the `timeout` option is in use, this is the timer that will respond on the action's
+    // behalf if none of its exits are called in time (and whether that already happened).
+    var timeoutTimer;
+    var didTimeOut = false;
+
     var callbacks = {};
     _.each(_.keys(wetMachine.getDef().exits), function builtExitCallback(exitCodeName){
 
@@ -606,15 +1150,79 @@ module.exports = function machineAsAction(optsOrMachineDef) {
 
         // This spinlock protects against the machine calling more than one
         // exit, or the same exit twice.
-        if (exitAttempts.length > 0) {
-          console.warn('Consistency violation: When fulfilling this request (`'+req.method+' '+req.path+'`) '+
-          'the action attempted to respond (i.e. call its exits) more than once!  An action should _always_ '+
-          'send exactly one response.  This particular unexpected extra response was attempted via the `'+exitCodeName+'` '+
-          'exit.  It was ignored.  For debugging purposes, here is a list of all exit/response attempts made '+
-          'by this action:',exitAttempts);
+        // (Unless something is listening for `doubleExit` lifecycle events, these are logged as warnings.)
+        if (didTimeOut && exitAttempts.length === 1) {
+          var wasLateExitHandled = _emitLifecycleEvent('doubleExit', { exitCodeName: exitCodeName, exitAttempts: _.clone(exitAttempts), afterTimeout: true });
+          if (!wasLateExitHandled) {
+            console.warn('When fulfilling this request (`'+req.method+' '+req.path+'`) the action attempted to respond '+
+            '(i.e. call its exits) after it had already timed out!  Since it didn\'t call any of its exits within '+
+            options.timeout+'ms, a response was already sent on its behalf.  This particular late response was attempted '+
+            'via the `'+exitCodeName+'` exit.  It was ignored.  For debugging purposes, here is a list of all exit/response '+
+            'attempts made by this action:',exitAttempts);
+          }
+          exitAttempts.push(exitCodeName);
+          return;
+        }
+        else if (exitAttempts.length > 0) {
+          var wasDoubleExitHandled = _emitLifecycleEvent('doubleExit', { exitCodeName: exitCodeName, exitAttempts: _.clone(exitAttempts), afterTimeout: false });
+          if (!wasDoubleExitHandled) {
+            console.warn('Consistency violation: When fulfilling this request (`'+req.method+' '+req.path+'`) '+
+            'the action attempted to respond (i.e. call its exits) more than once!  An action should _always_ '+
+            'send exactly one response.  This particular unexpected extra response was attempted via the `'+exitCodeName+'` '+
+            'exit.  It was ignored.  For debugging purposes, here is a list of all exit/response attempts made '+
+            'by this action:',exitAttempts);
+          }
           return;
         }
         exitAttempts.push(exitCodeName);
+        clearTimeout(timeoutTimer);
+
+        var isValidationErrorExit = (
+          exitCodeName === 'error' &&
+          _.isObject(output) &&
+          output.name === 'UsageError' &&
+          output.code === 'E_INVALID_ARGINS'
+        );
+        _emitLifecycleEvent('exit', {
+          exitCodeName: exitCodeName,
+          statusCode: isValidationErrorExit ? ((options.invalidParamsResponse && options.invalidParamsResponse.statusCode) || 400) : responses[exitCodeName].statusCode,
+          duration: Date.now() - requestStartedAt,
+          output: output,
+          isValidationError: isValidationErrorExit
+        });
+
+        // If this request claimed an idempotency key, keep track of how the machine responded, so that
+        // it can be replayed for retries.  (Validation errors, and output that can't be replayed-- i.e.
+        // streams, buffers, async iterables, and Server-Sent Events, aren't saved.)
+        var isOutputReplayable = (
+          !(output instanceof Stream) && !Buffer.isBuffer(output) && !isItemSource(output) &&
+          !(responses[exitCodeName] && responses[exitCodeName].responseType === 'sse')
+        );
+        if (idempotencyClaim && hasMachineStarted && !isValidationErrorExit && isOutputReplayable) {
+          idempotencyClaim.exitCodeName = exitCodeName;
+          idempotencyClaim.body = rttc.dehydrate(output, true);
+        }
+
+        // Similarly, if this request missed the cache, cache the response (if it's from one of the
+        // cacheable exits).
+        if (cacheKey && hasMachineStarted && !isValidationErrorExit && _.contains(options.cache.exits, exitCodeName) && isOutputReplayable) {
+          actionCache.set(cacheKey, { exitCodeName: exitCodeName, output: output }, options.cache.ttl);
+        }
+
+        // If the requesting user agent already disconnected, then there's nobody left to send
+        // a response to.  So skip it.  (This is normal enough that it's only worth mentioning
+        // in Sails's verbose logs, if available.)
+        if (wasAborted) {
+          if (_.isObject(req._sails) && _.isObject(req._sails.log) && _.isFunction(req._sails.log.verbose)) {
+            req._sails.log.verbose(
+              'Handled a `'+req.method+'` request to `'+req.path+'` by running an action (`'+machineDef.identity+'`), '+
+              'which called its `'+exitCodeName+'` exit.  But the request was aborted (the user agent disconnected) before that, '+
+              'so no response was sent.'
+            );
+          }
+          _releaseIdempotencyClaim();
+          return;
+        }//-•
 
         (function _waitForSimulatedLatencyIfRelevant(_cb){
           if (!options.simulateLatency) { return _cb(); }
@@ -632,6 +1240,22 @@ module.exports = function machineAsAction(optsOrMachineDef) {
                 res.set('X-Exit', exitCodeName);
               }
 
+              // Set any headers from this exit's `responseHeaders` directive.
+              // (If a header's value is a function, it is computed from the output.  If that
+              //  returns `undefined` or `null`, then the header is left out.)
+              _.each(responses[exitCodeName].responseHeaders, function(headerValue, headerName) {
+                if (_.isFunction(headerValue)) {
+                  headerValue = headerValue(output);
+                  if (_.isUndefined(headerValue) || _.isNull(headerValue)) {
+                    return;
+                  }//-•
+                  if (!_.isString(headerValue) && !_.isNumber(headerValue)) {
+                    throw new Error('The function provided for the "'+headerName+'" header in the `responseHeaders` of exit "'+exitCodeName+'" should return a string or number, but instead it returned: '+util.inspect(headerValue,{depth:null}));
+                  }//-•
+                }
+                res.set(headerName, String(headerValue));
+              });//∞
+
               // If running in development and development headers have not been explicitly disabled,
               // then send down other available metadata about the exit for convenience for developers
               // integrating with this API endpoint.
@@ -699,31 +1323,53 @@ module.exports = function machineAsAction(optsOrMachineDef) {
               'parameter'+(output.problems.length!==1?'s':'');
               var err = new Error(baseValidationErrMsg+':\n'+prettyPrintedValidationErrorsStr);
               err.code = 'E_MISSING_OR_INVALID_PARAMS';
-              err.problems = output.problems;
+              // Also include structured, per-input versions of the problems.
+              err.inputProblems = buildInputProblems({
+                problems: output.problems,
+                inputs: wetMachine.getDef().inputs,
+                argins: originalArgins,
+                req: req,
+                files: options.files,
+                urlWildcardSuffix: options.urlWildcardSuffix,
+                misplacedParams: misplacedParams
+              });
+              // Keep track of which per-input problem (if any) goes w/ each of the original problems,
+              // by index.  (This way, they can still be matched up once the messages are localized.)
+              var inputProblemsByIndex = _.map(output.problems, function (problem){
+                return _.find(err.inputProblems, { message: problem });
+              });
+              // If the message catalogue for this request's locale has its own per-problem messages,
+              // use them in place of the (English) ones from the machine runner.
+              // (The per-input problems are copied rather than changed in place.)
+              var localizedInputProblems = _.clone(err.inputProblems);
+              err.problems = _.map(output.problems, function (problem, i){
+                var inputProblem = inputProblemsByIndex[i];
+                if (!inputProblem) { return problem; }
+                var localizedMessage = t('problem'+_.capitalize(inputProblem.reason), {
+                  input: inputProblem.input,
+                  name: inputProblem.parameter.name,
+                  in: inputProblem.parameter.in,
+                  expected: rttc.getDisplayTypeLabel(inputProblem.expected)
+                });
+                if (_.isUndefined(localizedMessage)) { return problem; }
+                localizedInputProblems[_.indexOf(err.inputProblems, inputProblem)] = _.extend({}, inputProblem, { message: localizedMessage });
+                return localizedMessage;
+              });
+              err.inputProblems = localizedInputProblems;
 
               // Attach a toJSON function to the error.  This will be run automatically
               // when this error is being stringified.  This is our chance to make this
               // error easier to read/programatically parse from the client.
               err.toJSON = function (){
-                // Include the error code and the array of RTTC validation errors
-                // for easy programmatic parsing.
-                var jsonReadyErrDictionary = _.pick(err, ['code', 'problems']);
+                // Include the error code, the array of RTTC validation errors, and the
+                // structured version of each problem, for easy programmatic parsing.
+                var jsonReadyErrDictionary = _.pick(err, ['code', 'problems', 'inputProblems']);
                 // And also include a more front-end-friendly version of the error message.
-                var preamble =
-                'The server could not fulfill this request (`'+req.method+' '+req.path+'`) '+
-                'due to '+output.problems.length+' missing or invalid '+
-                'parameter'+(output.problems.length!==1?'s':'')+'.';
+                var preamble = t('invalidParams', { method: req.method, path: req.path, count: output.problems.length });
 
                 // If NOT running in production, then provide additional details and tips.
                 if (!IS_RUNNING_IN_PRODUCTION) {
-                  jsonReadyErrDictionary.message = preamble+'  '+
-                  '**The following additional tip will not be shown in production**:  '+
-                  'Tip: Check your client-side code to make sure that the request data it '+
-                  'sends matches the expectations of the corresponding parameters in your '+
-                  'server-side route/action.  Also check that your client-side code sends '+
-                  'data for every required parameter.  Finally, for programmatically-parseable '+
-                  'details about each validation error, `.problems`. '+
-                  '(Just remember, any time you inject dynamic data into the HTML, be sure to escape the strings at the point of injection.)';
+                  jsonReadyErrDictionary.message = preamble+'  '+t('invalidParamsTip');
                 }
                 // If running in production, use a message that is more terse.
                 else {
@@ -736,18 +1382,208 @@ module.exports = function machineAsAction(optsOrMachineDef) {
               };//</define :: err.toJSON()>
 
 
-              // If `res.badRequest` exists, use that.
-              if (_.isFunction(res.badRequest)) {
+              // If an `onInvalidParams` function was provided, let it decide how to respond.
+              // It receives a report w/ the problems (also structured per input, and grouped by
+              // input code name) and the original argins.
+              var invalidParamsReport = {
+                code: err.code,
+                message: err.toJSON().message,
+                problems: err.problems,
+                inputProblems: err.inputProblems,
+                invalidParams: _.reduce(err.inputProblems, function(memo, inputProblem) {
+                  memo[inputProblem.input] = memo[inputProblem.input] || [];
+                  memo[inputProblem.input].push(inputProblem.message);
+                  return memo;
+                }, {}),
+                argins: originalArgins
+              };
+              if (options.onInvalidParams) {
+                return options.onInvalidParams(invalidParamsReport, req, res);
+              }//-•
+
+              // Otherwise, respond w/ the status code from the `invalidParamsResponse` directive
+              // (if there is one), whichever way the response is sent.
+              var invalidParamsStatusCode = (options.invalidParamsResponse && options.invalidParamsResponse.statusCode) || 400;
+
+              // If the `invalidParamsResponse` directive says to render a view (e.g. to show
+              // a form again, w/ field-level errors), then use the report as the view locals.
+              if (options.invalidParamsResponse && options.invalidParamsResponse.responseType === 'view') {
+                if (!_.isFunction(res.view) && !(req._sails && req.isSocket)) {
+                  throw new Error('Cannot render a view for this request because `res.view()` does not exist.  Are you sure this an HTTP request to a Sails.js server with the views hook enabled?');
+                }
+                res = res.status(invalidParamsStatusCode);
+                return res.view(options.invalidParamsResponse.viewTemplatePath, invalidParamsReport);
+              }
+              // Otherwise, if the `problemDetails` option is enabled, send a Problem Details document
+              // (w/ each problem as one of its `invalid-params`).
+              else if (options.problemDetails) {
+                return _sendProblemDetails({
+                  status: invalidParamsStatusCode,
+                  detail: err.toJSON().message,
+                  problems: _.map(err.problems, function (localizedProblem, i){
+                    return { name: inputProblemsByIndex[i] ? inputProblemsByIndex[i].input : undefined, reason: localizedProblem };
+                  }),
+                  extensions: { code: err.code }
+                });
+              }
+              // Otherwise, if `res.badRequest` exists (and a different status code wasn't configured), use that.
+              else if (_.isFunction(res.badRequest) && invalidParamsStatusCode === 400) {
                 return res.badRequest(err);
               }
-              // Otherwise just send a 400 response with the error encoded as JSON.
+              // Otherwise just send the error encoded as JSON.
               else {
-                return res.status(400).json(err);
+                return res.status(invalidParamsStatusCode).json(err);
               }
 
             }//</if :: machine runtime validation error (E_INVALID_ARGINS)>
 
 
+            // If this exit's output example can only be determined at runtime (i.e. `getExample`,
+            // or `like`/`itemOf` referring to an exemplar input), then we weren't able to check
+            // that it's compatible with the response type when the action was built.  So look it
+            // up now (using the actual argins) and check it before going any further.
+            var isOutputExampleDynamic = (
+              !_.isUndefined(responses[exitCodeName].like) ||
+              !_.isUndefined(responses[exitCodeName].itemOf) ||
+              !_.isUndefined(responses[exitCodeName].getExample)
+            );
+            var outputExample;
+            if (isOutputExampleDynamic || options.strictOutput) {
+              outputExample = getOutputExample({
+                exitDef: responses[exitCodeName],
+                exitCodeName: exitCodeName,
+                inputs: wetMachine.getDef().inputs,
+                argins: argins,
+                env: _meta
+              });
+            }//>-
+            if (isOutputExampleDynamic) {
+              checkOutputExampleCompatibility(responses[exitCodeName], exitCodeName, outputExample);
+            }//>-
+
+            // If `strictOutput` is enabled, then validate the output against the exit's output
+            // example before sending it.  (Void output, and exits that expect anything at all--
+            // i.e. `===`, are left alone.  So are sources of items and Server-Sent Events, which are
+            // validated one item at a time as they're sent.)
+            // > The output is only checked-- not changed.  This way, the response is the same
+            // > whether or not `strictOutput` is enabled (e.g. in development vs. production).
+            if (options.strictOutput && !_.isUndefined(output) && !_.isUndefined(outputExample) && outputExample !== '===' && !isItemSource(output) && responses[exitCodeName].responseType !== 'sse') {
+              var outputTypeSchema = rttc.infer(outputExample);
+              try {
+                rttc.validate(outputTypeSchema, output);
+              } catch (e) {
+                switch (e.code) {
+                  case 'E_INVALID':
+                    var outputMismatchReport =
+                    'Handled a `'+req.method+'` request to `'+req.path+'` by running an action (`'+machineDef.identity+'`), '+
+                    'which called its `'+exitCodeName+'` exit with output that doesn\'t match that exit\'s output example.\n'+
+                    '------------------------------------------------------\n'+
+                    rttc.getInvalidityMessage(outputTypeSchema, output, e, 'output')+'\n'+
+                    '------------------------------------------------------\n'+
+                    '(This was detected because `strictOutput` is enabled.)';
+
+                    // Unless we're in production, `rejectInvalidOutput` means we respond w/ an error
+                    // instead.  (This report will be logged by the catch-all below.)
+                    if (options.rejectInvalidOutput && !IS_RUNNING_IN_PRODUCTION) {
+                      throw flaverr({ name: 'Error', code: 'E_INVALID_OUTPUT', message: outputMismatchReport }, new Error());
+                    }//-•
+
+                    // Otherwise, just log the report and send the output as-is.
+                    if (_.isObject(req._sails) && _.isObject(req._sails.log) && _.isFunction(req._sails.log.warn)) {
+                      req._sails.log.warn(outputMismatchReport);
+                    }
+                    else {
+                      console.warn(outputMismatchReport);
+                    }
+                    break;
+                  default: throw e;
+                }
+              }
+            }//>-
+
+            // If something goes wrong while sending a stream (or items from a source of items),
+            // end the response if it's already underway, or otherwise respond w/ a 500 error.
+            var _handleDownloadError = function(rawDownloadError) {
+              try {
+                var err = flaverr({
+                  message: t('downloadError', { message: rawDownloadError.message }),
+                  raw: rawDownloadError
+                }, rawDownloadError);
+
+                if (res.finished) {
+                  return res.send();
+                }
+                else if (res.headersSent) {
+                  return res.end();
+                }
+                else if (_.isFunction(res.serverError)) {
+                  return res.serverError(err);
+                }
+                else {
+                  // Log the error.  (Unless something is listening for `responseError` lifecycle events.)
+                  var wasDownloadErrorHandled = _emitLifecycleEvent('responseError', { exitCodeName: exitCodeName, error: err, message: err.message });
+                  if (wasDownloadErrorHandled) {
+                    // The listener takes care of it.
+                  }
+                  else if (_.isObject(req._sails) && _.isObject(req._sails.log) && _.isFunction(req._sails.log.error)) {
+                    req._sails.log.error(err);
+                  }
+                  else {
+                    console.error(err);
+                  }
+
+                  // Don't send the error in the response in production.
+                  if (IS_RUNNING_IN_PRODUCTION) {
+                    return res.sendStatus(500);
+                  }
+                  // Otherwise, send the error message in the response.
+                  else {
+                    return res.status(500).send(util.inspect(err,{depth:null}));
+                  }
+                }
+              } catch (err) { console.error('Consistency violation: Unexpected internal error:',err); }
+            };//ƒ
+
+            // When sending items one at a time (i.e. from a source of items), each item is checked
+            // against the item in the exit's output example (if it's an array) when `strictOutput` is
+            // enabled (again, w/o changing it), then dehydrated.
+            var itemExample = _.isArray(outputExample) && outputExample.length > 0 ? outputExample[0] : undefined;
+            var itemTypeSchema = (options.strictOutput && !_.isUndefined(itemExample) && itemExample !== '===') ? rttc.infer(itemExample) : undefined;
+            var hasLoggedItemMismatch = false;
+            var _prepareItem = function(item) {
+              if (itemTypeSchema && !_.isUndefined(item)) {
+                try {
+                  rttc.validate(itemTypeSchema, item);
+                } catch (e) {
+                  if (e.code !== 'E_INVALID') { throw e; }
+                  var itemMismatchReport =
+                  'Handled a `'+req.method+'` request to `'+req.path+'` by running an action (`'+machineDef.identity+'`), '+
+                  'which called its `'+exitCodeName+'` exit with a source of items, one of which doesn\'t match the item in that exit\'s output example.\n'+
+                  '------------------------------------------------------\n'+
+                  rttc.getInvalidityMessage(itemTypeSchema, item, e, 'item')+'\n'+
+                  '------------------------------------------------------\n'+
+                  '(This was detected because `strictOutput` is enabled.)';
+
+                  // Unless we're in production, `rejectInvalidOutput` means we stop sending items.
+                  if (options.rejectInvalidOutput && !IS_RUNNING_IN_PRODUCTION) {
+                    throw flaverr({ name: 'Error', code: 'E_INVALID_OUTPUT', message: itemMismatchReport }, new Error());
+                  }//-•
+
+                  // Otherwise, just log the report (the first time) and send the item as-is.
+                  if (!hasLoggedItemMismatch) {
+                    hasLoggedItemMismatch = true;
+                    if (_.isObject(req._sails) && _.isObject(req._sails.log) && _.isFunction(req._sails.log.warn)) {
+                      req._sails.log.warn(itemMismatchReport);
+                    }
+                    else {
+                      console.warn(itemMismatchReport);
+                    }
+                  }
+                }
+              }
+              return _.isUndefined(item) ? null : rttc.dehydrate(item, true, undefined, undefined, true);
+            };//ƒ
+
             // -•
             switch (responses[exitCodeName].responseType) {
 
@@ -864,6 +1700,139 @@ module.exports = function machineAsAction(optsOrMachineDef) {
                   return res.end();
                 }
 
+                // • Problem Details:
+                //
+                // If the `problemDetails` option is enabled and this exit responds w/ an error status
+                // code, then send a Problem Details document, using the exit's description and "more info"
+                // URL for its `title` and `type`.  If the output is a string (or an Error, outside of
+                // production) it is used as the `detail`.  If it's a dictionary, its properties are
+                // included as additional members.
+                if (options.problemDetails && responses[exitCodeName].statusCode >= 400 && !responses[exitCodeName].representations) {
+                  return _sendProblemDetails({
+                    status: responses[exitCodeName].statusCode,
+                    type: responses[exitCodeName].moreInfoUrl,
+                    title: responses[exitCodeName].description,
+                    detail: (
+                      _.isString(output) ? output :
+                      (_.isError(output) && !IS_RUNNING_IN_PRODUCTION) ? output.message :
+                      undefined
+                    ),
+                    extensions: (_.isPlainObject(output) ? rttc.dehydrate(output, true, undefined, undefined, true) : undefined)
+                  });
+                }//-•
+
+                // • Conditional GET:
+                //
+                // If `etag` and/or `lastModified` are enabled, then for successful GET and HEAD requests,
+                // set the appropriate validator headers, and if the user agent's cached copy is still
+                // fresh, respond w/ a 304 (and no body) instead of sending the serialized body.
+                var doCheckConditionalGet = (
+                  (options.etag || options.lastModified) &&
+                  (req.method === 'GET' || req.method === 'HEAD') &&
+                  responses[exitCodeName].statusCode >= 200 && responses[exitCodeName].statusCode < 300
+                );
+                var _respondNotModifiedIfFresh = function(serializedBody, mediaType) {
+                  if (!doCheckConditionalGet) {
+                    return false;
+                  }//-•
+                  var isFresh = checkConditionalGet(req, res, {
+                    etag: options.etag,
+                    body: serializedBody,
+                    mediaType: mediaType,
+                    lastModified: (options.lastModified && _.isObject(output)) ? output[options.lastModified] : undefined
+                  });
+                  if (!isFresh) {
+                    return false;
+                  }//-•
+                  res.status(304);
+                  res.end();
+                  return true;
+                };//ƒ
+
+                // • Content negotiation:
+                //
+                // If this exit declares more than one way of representing its output (e.g. a view
+                // for browsers and JSON for everybody else), then pick one based on the `Accept`
+                // header.  Socket requests get JSON whenever it's available.
+                if (responses[exitCodeName].representations) {
+                  var representations = responses[exitCodeName].representations;
+
+                  // Since the response depends on the `Accept` header, let caches know about it.
+                  if (_.isFunction(res.vary)) {
+                    res.vary('Accept');
+                  }
+                  else {
+                    res.set('Vary', 'Accept');
+                  }
+
+                  var mediaType;
+                  if (req.isSocket && representations['application/json']) {
+                    mediaType = 'application/json';
+                  }
+                  else {
+                    mediaType = negotiateMediaType(req.get('accept'), _.keys(representations));
+                  }
+
+                  // If none of the available representations are acceptable, respond w/ a 406.
+                  if (!mediaType) {
+                    return res.sendStatus(406);
+                  }//-•
+
+                  var representation = representations[mediaType];
+                  res = res.status(responses[exitCodeName].statusCode);
+
+                  // View:
+                  if (representation.viewTemplatePath) {
+                    if (!_.isFunction(res.view) && !(req._sails && req.isSocket)) {
+                      throw new Error('Cannot render a view for this request because `res.view()` does not exist.  Are you sure this an HTTP request to a Sails.js server with the views hook enabled?');
+                    }
+                    if (_.isUndefined(output) || _.isNull(output)) {
+                      return res.view(representation.viewTemplatePath);
+                    }
+                    else if (_.isObject(output) && !_.isArray(output) && !_.isFunction(output)) {
+                      return res.view(representation.viewTemplatePath, output);
+                    }
+                    else {
+                      throw new Error(
+                        'Cannot render a view for this request (`'+mediaType+'`) because the provided view locals data '+
+                        '(the value passed in to `exits.'+exitCodeName+'()`) is not a dictionary.  Here is what was '+
+                        'passed in: '+util.inspect(output,{depth:null})
+                      );
+                    }
+                  }//-•
+
+                  // Custom serializer:
+                  if (representation.serialize) {
+                    var serializedOutput = representation.serialize(output);
+                    if (_respondNotModifiedIfFresh(serializedOutput, mediaType)) {
+                      return;
+                    }//-•
+                    res.set('Content-Type', mediaType);
+                    return res.send(serializedOutput);
+                  }//-•
+
+                  // Otherwise this is one of the built-in representations (JSON or plain text).
+                  if (_.isUndefined(output) || _.isNull(output)) {
+                    return res.sendStatus(responses[exitCodeName].statusCode);
+                  }//-•
+
+                  var dehydratedOutput = rttc.dehydrate(output, true, undefined, undefined, true);
+                  if (mediaType === 'text/plain') {
+                    var plainTextOutput = _.isString(dehydratedOutput) ? dehydratedOutput : JSON.stringify(dehydratedOutput);
+                    if (_respondNotModifiedIfFresh(plainTextOutput, mediaType)) {
+                      return;
+                    }//-•
+                    res.set('Content-Type', 'text/plain');
+                    return res.send(plainTextOutput);
+                  }
+                  else {
+                    if (_respondNotModifiedIfFresh(JSON.stringify(dehydratedOutput), mediaType)) {
+                      return;
+                    }//-•
+                    return res.json(dehydratedOutput);
+                  }
+                }//-•
+
                 // If `null`, use res.sendStatus().
                 if (_.isUndefined(output) || _.isNull(output)) {
                   return res.sendStatus(responses[exitCodeName].statusCode);
@@ -892,44 +1861,31 @@ module.exports = function machineAsAction(optsOrMachineDef) {
                   }
                 }//-•
 
+                // • Source of items (an object-mode readable stream, or an async iterable)
+                //
+                // Send each item as it becomes available-- either as a line of JSON (the default), or
+                // as part of a JSON array (`streamFormat: 'json'`).
+                if (isItemSource(output)) {
+                  var streamFormat = responses[exitCodeName].streamFormat || 'ndjson';
+
+                  res.status(responses[exitCodeName].statusCode);
+                  res.set('Content-Type', streamFormat === 'json' ? 'application/json; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+                  return writeItems({
+                    source: output,
+                    res: res,
+                    format: streamFormat,
+                    isAborted: function() { return wasAborted; },
+                    prepareItem: _prepareItem
+                  }, function(err) {
+                    if (err) {
+                      return _handleDownloadError(err);
+                    }
+                  });//_∏_
+                }//-•
+
                 // • Stream (hopefully a Readable one)
                 if (output instanceof Stream) {
-                  output.once('error', function (rawDownloadError){
-                    try {
-                      var err = flaverr({
-                        message: 'Encountered error during file download:  '+rawDownloadError.message,
-                        raw: rawDownloadError
-                      }, rawDownloadError);
-
-                      if (res.finished) {
-                        return res.send();
-                      }
-                      else if (res.headersSent) {
-                        return res.end();
-                      }
-                      else if (_.isFunction(res.serverError)) {
-                        return res.serverError(err);
-                      }
-                      else {
-                        // Log the error.
-                        if (_.isObject(req._sails) && _.isObject(req._sails.log) && _.isFunction(req._sails.log.error)) {
-                          req._sails.log.error(err);
-                        }
-                        else {
-                          console.error(err);
-                        }
-
-                        // Don't send the error in the response in production.
-                        if (IS_RUNNING_IN_PRODUCTION) {
-                          return res.sendStatus(500);
-                        }
-                        // Otherwise, send the error message in the response.
-                        else {
-                          return res.status(500).send(util.inspect(err,{depth:null}));
-                        }
-                      }
-                    } catch (err) { console.error('Consistency violation: Unexpected internal error:',err); }
-                  });//æ
+                  output.once('error', _handleDownloadError);
 
                   // Construct a pass-through stream to adjust for any weirdness
                   // in the output stream  (e.g. otherwise if it came from the
@@ -951,6 +1907,17 @@ module.exports = function machineAsAction(optsOrMachineDef) {
                 // - else just continue on to our `res.send()` catch-all below
 
 
+                var dehydrated = rttc.dehydrate(output, true, undefined, undefined, true);
+                                                       //^ allowNull
+                                                       //      ^dontStringifyFunctions
+                                                       //                 ^allowNaNAndFriends
+                                                       //                             ^doRunToJSONMethods
+
+                // If the user agent already has a fresh copy, there's no need to send it again.
+                if (_respondNotModifiedIfFresh(_.isString(dehydrated) ? dehydrated : JSON.stringify(dehydrated))) {
+                  return;
+                }//-•
+
                 // • Actual output is number:
                 //
                 // If this is a number, handle it as a special case to avoid tricking Express
@@ -961,11 +1928,6 @@ module.exports = function machineAsAction(optsOrMachineDef) {
 
 
                 // • Anything else:  (i.e. rttc.dehydrate())
-                var dehydrated = rttc.dehydrate(output, true, undefined, undefined, true);
-                                                       //^ allowNull
-                                                       //      ^dontStringifyFunctions
-                                                       //                 ^allowNaNAndFriends
-                                                       //                             ^doRunToJSONMethods
                 return res.status(responses[exitCodeName].statusCode).send(dehydrated);
 
               })(); return; //</case (w/ self-invoking function wrapper)>
@@ -1026,10 +1988,97 @@ module.exports = function machineAsAction(optsOrMachineDef) {
 
 
 
+              //  ┬─┐┌─┐┌─┐┌─┐┌─┐┌┐┌┌─┐┌─┐  ┌┬┐┬ ┬┌─┐┌─┐  ╔═╗╔═╗╔═╗
+              //  ├┬┘├┤ └─┐├─┘│ ││││└─┐├┤    │ └┬┘├─┘├┤   ╚═╗╚═╗║╣
+              //  ┴└─└─┘└─┘┴  └─┘┘└┘└─┘└─┘   ┴  ┴ ┴  └─┘  ╚═╝╚═╝╚═╝
+              case 'sse': (function (){
+                // The output should be a source of items (an async iterable, or an object-mode readable
+                // stream), or an event emitter that emits each item as "data" (and then "end").
+                var itemSource;
+                if (isItemSource(output)) {
+                  itemSource = output;
+                }
+                else if (output instanceof EventEmitter && !(output instanceof Stream)) {
+                  itemSource = buildEmitterIterable(output);
+                }
+                else {
+                  throw new Error(
+                    'Cannot send Server-Sent Events for this request because the value passed in to `exits.'+exitCodeName+'()` '+
+                    'is not an async iterable, an object-mode readable stream, or an event emitter.  Here is what was passed in: '+
+                    util.inspect(output,{depth:0})
+                  );
+                }
+
+                res.status(responses[exitCodeName].statusCode);
+                res.set('Content-Type', 'text/event-stream; charset=utf-8');
+                res.set('Cache-Control', 'no-cache');
+                res.set('Connection', 'keep-alive');
+                res.set('X-Accel-Buffering', 'no');// (keep nginx from buffering events)
+                if (_.isFunction(res.flushHeaders)) {
+                  res.flushHeaders();
+                }
+
+                // Send a comment line every so often, so that proxies don't close the connection.
+                var heartbeatInterval = _.isUndefined(responses[exitCodeName].heartbeatInterval) ? 15000 : responses[exitCodeName].heartbeatInterval;
+                var heartbeatTimer;
+                if (heartbeatInterval > 0) {
+                  heartbeatTimer = setInterval(function _sendHeartbeat(){
+                    if (res.finished || wasAborted) { return; }
+                    res.write(':\n\n');
+                  }, heartbeatInterval);
+                }//>-
+
+                // Each item is either the data to send, or a dictionary w/ `data` and any of `event`,
+                // `id`, and `retry`.
+                return writeItems({
+                  source: itemSource,
+                  res: res,
+                  format: 'sse',
+                  isAborted: function() { return wasAborted; },
+                  prepareItem: function(item) {
+                    var isEvent = _.isPlainObject(item) && _.has(item, 'data') && _.all(_.keys(item), function(key) {
+                      return _.contains(['data', 'event', 'id', 'retry'], key);
+                    });
+                    if (!isEvent) {
+                      return { data: _prepareItem(item) };
+                    }
+                    return _.extend({}, item, { data: _prepareItem(item.data) });
+                  }
+                }, function(err) {
+                  clearInterval(heartbeatTimer);
+                  if (err) {
+                    return _handleDownloadError(err);
+                  }
+                });//_∏_
+
+              })(); return;//</ case (in self-invoking function wrapper) >
+
+
+
               //  ┬─┐┌─┐┌─┐┌─┐┌─┐┌┐┌┌─┐┌─┐  ┌┬┐┬ ┬┌─┐┌─┐  ╔═╗╦═╗╦═╗╔═╗╦═╗
               //  ├┬┘├┤ └─┐├─┘│ ││││└─┐├┤    │ └┬┘├─┘├┤   ║╣ ╠╦╝╠╦╝║ ║╠╦╝
               //  ┴└─└─┘└─┘┴  └─┘┘└┘└─┘└─┘   ┴  ┴ ┴  └─┘  ╚═╝╩╚═╩╚═╚═╝╩╚═
               case 'error': (function (){
+
+                // If the `problemDetails` option is enabled, then instead of using `res.serverError()`,
+                // log the error and send a Problem Details document.  (The error message is only
+                // included outside of production.)
+                if (options.problemDetails) {
+                  var errForLog = _.isUndefined(output) ? t('errorExitWithoutOutput', { method: req.method, path: req.path, exit: exitCodeName }) : output;
+                  if (_.isObject(req._sails) && _.isObject(req._sails.log) && _.isFunction(req._sails.log.error)) {
+                    req._sails.log.error(errForLog);
+                  }
+                  else {
+                    console.error(errForLog);
+                  }
+                  return _sendProblemDetails({
+                    status: responses[exitCodeName].statusCode,
+                    type: responses[exitCodeName].moreInfoUrl,
+                    title: responses[exitCodeName].description,
+                    detail: (_.isError(output) && !IS_RUNNING_IN_PRODUCTION) ? output.message : undefined
+                  });
+                }//-•
+
                 if (!_.isFunction(res.serverError)) {
                   throw new Error('Need `res.serverError()` to exist as a function in order to use the `error` response type.  Is this a Sails.js app with the responses hook enabled?');
                 }//-•
@@ -1038,7 +2087,7 @@ module.exports = function machineAsAction(optsOrMachineDef) {
                 var catchallErr = output;
                 // ...unless there is NO output, in which case we build an error message explaining what happened and pass THAT in.
                 if (_.isUndefined(output)) {
-                  catchallErr = new Error(util.format('Action (triggered by a `%s` request to  `%s`) encountered an error, triggering its "%s" exit. No additional error data was provided.', req.method, req.path, exitCodeName) );
+                  catchallErr = new Error(t('errorExitWithoutOutput', { method: req.method, path: req.path, exit: exitCodeName }));
                 }
 
                 // If this is an internal error, adjust it so that it doesn't contain
@@ -1048,7 +2097,7 @@ module.exports = function machineAsAction(optsOrMachineDef) {
                   catchallErr = flaverr({
                     name: 'Error',
                     code: 'E_INTERNAL_ERROR',
-                    message: 'Internal error occurred while running this action:  '+catchallErr.raw.message
+                    message: t('internalError', { message: catchallErr.raw.message })
                   }, catchallErr.raw);
                 }
 
@@ -1122,12 +2171,14 @@ module.exports = function machineAsAction(optsOrMachineDef) {
               errAsString = util.inspect(e,{depth:null});
             }
 
-            var errMsg =
-            'Handled a `'+req.method+'` request to  `'+req.path+'`, by running an action, '+
-            'which called its `'+exitCodeName+'` exit.  But then an error occurred: '+errAsString;
+            var errMsg = t('errorAfterExit', { method: req.method, path: req.path, exit: exitCodeName, error: errAsString });
 
-            // Log the error.
-            if (_.isObject(req._sails) && _.isObject(req._sails.log) && _.isFunction(req._sails.log.error)) {
+            // Log the error.  (Unless something is listening for `responseError` lifecycle events.)
+            var wasResponseErrorHandled = _emitLifecycleEvent('responseError', { exitCodeName: exitCodeName, error: e, message: errMsg });
+            if (wasResponseErrorHandled) {
+              // The listener takes care of it.
+            }
+            else if (_.isObject(req._sails) && _.isObject(req._sails.log) && _.isFunction(req._sails.log.error)) {
               req._sails.log.error(errMsg);
             }
             else {
@@ -1149,17 +2200,347 @@ module.exports = function machineAsAction(optsOrMachineDef) {
       };//</respondApropos>
     });//</each exit>
 
-    // Then attach them and execute the machine.
-    return deferred.switch(callbacks);
+    // If any pinned parameters were sent from the wrong place, don't even run the machine.
+    // Instead, respond just like we would for any other runtime validation error.
+    if (misplacedParams.length > 0) {
+      return callbacks.error(flaverr({
+        name: 'UsageError',
+        code: 'E_INVALID_ARGINS',
+        problems: _.pluck(misplacedParams, 'problem'),
+        message: 'Could not run action (`'+machineDef.identity+'`) due to '+misplacedParams.length+' misplaced parameter'+(misplacedParams.length!==1?'s':'')+'.'
+      }));
+    }//-•
+
+    // Start the clock (if relevant) and run the machine.
+    var _runMachine = function() {
+
+      // If the `timeout` option is in use, then start the clock.  If none of the action's exits
+      // have been called by the time it runs out, respond on the action's behalf: either through
+      // the `timeoutExit` (if configured) or with a 503 error.
+      if (options.timeout) {
+        timeoutTimer = setTimeout(function _handleTimeout(){
+          if (exitAttempts.length > 0 || wasAborted) { return; }
+
+          // If this request is sharing a run of the machine, stop waiting for it (just like if the
+          // user agent had disconnected).  The run carries on for any other requests sharing it, and
+          // identical requests that arrive in the meantime still join it, rather than running the
+          // machine a second time.
+          if (coalescedRun) {
+            coalescedRun.release(callbacks);
+            coalescedRun = undefined;
+          }
+
+          var timeoutErr = flaverr({
+            name: 'TimeoutError',
+            code: 'E_ACTION_TIMEOUT',
+            message: t('timeout', { method: req.method, path: req.path, identity: machineDef.identity, timeout: options.timeout })
+          }, new Error());
+
+          // Log a warning about what happened.
+          if (_.isObject(req._sails) && _.isObject(req._sails.log) && _.isFunction(req._sails.log.warn)) {
+            req._sails.log.warn(timeoutErr.message);
+          }
+          else {
+            console.warn(timeoutErr.message);
+          }
+
+          // Respond via the `timeoutExit`, if there is one.
+          // (Note that the error exit receives the timeout error as its output.)
+          if (options.timeoutExit) {
+            callbacks[options.timeoutExit](options.timeoutExit === 'error' ? timeoutErr : undefined);
+            didTimeOut = true;
+            return;
+          }//-•
+
+          // Otherwise, respond with a 503.
+          exitAttempts.push('(timeout)');
+          didTimeOut = true;
+          if (res.headersSent) {
+            return res.end();
+          }
+          else if (IS_RUNNING_IN_PRODUCTION) {
+            return res.sendStatus(503);
+          }
+          else {
+            return res.status(503).send(timeoutErr.message);
+          }
+        }, options.timeout);
+      }//>-
+
+      // Run any guards first, one at a time, in order.  Each guard gets the same argins and `env`
+      // as the action.  If a guard exits `success`, its output (if it's a dictionary) is merged into
+      // `env`.  Otherwise, we respond through the action's exit w/ the same code name.
+      (function _runGuard(i){
+        if (didTimeOut || wasAborted) { return; }
+
+        // Once all of the guards have exited `success`, attach the exit callbacks and execute
+        // the machine.
+        if (i >= guards.length) {
+
+          // But first, if the `cache` option is in use, check for a cached response.  (Guards are
+          // run even for cache hits, since they might e.g. check permissions.)
+          if (options.cache && _.contains(['GET', 'HEAD'], req.method)) {
+            var possibleCacheKey = options.cache.getKey(req, originalArgins);
+            var cachedResponse = actionCache.get(possibleCacheKey);
+            if (cachedResponse) {
+              res.set('X-Cache', 'HIT');
+              return callbacks[cachedResponse.exitCodeName](cachedResponse.output);
+            }//-•
+            res.set('X-Cache', 'MISS');
+            cacheKey = possibleCacheKey;
+          }//>-
+
+          // And if the `coalesce` option is in use, check whether an identical request is already
+          // running the machine.  If so, just wait for it to respond, and send the same response.
+          if (options.coalesce && _.contains(['GET', 'HEAD'], req.method)) {
+            var coalesceKey = options.coalesce.getKey(req, originalArgins);
+            if (coalescedRunsByKey[coalesceKey]) {
+              coalescedRun = coalescedRunsByKey[coalesceKey];
+              coalescedRun.join(callbacks);
+              return;
+            }//-•
+
+            // Otherwise, this request runs the machine for everyone.  Since the requests that join
+            // in are counting on it too, the machine's abort signal is only aborted once all of
+            // them have stopped waiting (i.e. their user agents disconnected, or they timed out).
+            // At that point, the run is detached, so the next identical request runs the machine anew.
+            var sharedAbortController = buildAbortController();
+            var waitingCallbacks = [];
+            var numConnected = 1;
+            var sharedRun = coalescedRun = coalescedRunsByKey[coalesceKey] = {
+              join: function(someCallbacks) {
+                waitingCallbacks.push(someCallbacks);
+                numConnected++;
+              },
+              release: function(someCallbacks) {
+                _.pull(waitingCallbacks, someCallbacks);
+                numConnected--;
+                if (numConnected > 0) { return; }
+                sharedRun.detach();
+                sharedAbortController.abort(flaverr({
+                  name: 'AbortError',
+                  code: 'E_REQUEST_ABORTED',
+                  message: 'None of the requests sharing this run are still waiting for a response (their user agents disconnected, or they timed out).'
+                }, new Error()));
+              },
+              detach: function() {
+                if (coalescedRunsByKey[coalesceKey] === sharedRun) {
+                  delete coalescedRunsByKey[coalesceKey];
+                }
+              }
+            };
+            _meta.abortSignal = sharedAbortController.signal;
+
+            var coalescedCallbacks = _.mapValues(callbacks, function(respondApropos, exitCodeName) {
+              return function(output) {
+                sharedRun.detach();
+                respondApropos(output);
+
+                // (Streams and other sources of items can only be read once, so they can't be shared.
+                // This can happen even though exits that might send a stream are refused when the action
+                // is built-- e.g. if the exit has no output declaration.  See `normalize-coalesce.js`.)
+                if ((output instanceof Stream) || isItemSource(output) || responses[exitCodeName].responseType === 'sse') {
+                  _.each(waitingCallbacks, function(someCallbacks) {
+                    someCallbacks.error(new Error('Could not share the response from this action (`'+machineDef.identity+'`) between coalesced requests, because its `'+exitCodeName+'` exit was called with a stream (or some other source of items, which can only be read once).'));
+                  });//∞
+                  return;
+                }//-•
+
+                _.each(waitingCallbacks, function(someCallbacks) {
+                  someCallbacks[exitCodeName](output);
+                });//∞
+              };//ƒ
+            });
+
+            hasMachineStarted = true;
+            _emitLifecycleEvent('start');
+            return deferred.switch(coalescedCallbacks);
+          }//-•
+
+          hasMachineStarted = true;
+          _emitLifecycleEvent('start');
+          return deferred.switch(callbacks);
+        }//-•
+
+        var wetGuard = guards[i];
+        var guardCallbacks = {};
+        _.each(_.keys(wetGuard.getDef().exits), function(exitCodeName) {
+          guardCallbacks[exitCodeName] = callbacks[exitCodeName];
+        });//∞
+        guardCallbacks.success = function(output) {
+          if (_.isObject(output) && !_.isArray(output) && !_.isFunction(output)) {
+            var reservedKey = _.find(['req', 'res', 'sails', 'abortSignal', 'traceContext'], function(key) { return _.has(output, key); });
+            if (reservedKey) {
+              return callbacks.error(new Error('Guard (`'+wetGuard.getDef().identity+'`) exited `success` with output that would overwrite `env.'+reservedKey+'`.  That key is reserved.'));
+            }
+            _.extend(_meta, output);
+          }
+          return _runGuard(i+1);
+        };//ƒ
+
+        wetGuard(_.pick(argins, _.keys(wetGuard.getDef().inputs))).meta(_meta).switch(guardCallbacks);
+      })(0);
+    };//ƒ
+
+    // If something goes wrong w/ the rate limit store or idempotency store, log the error and
+    // respond w/ a 500.
+    var _handleStoreError = function(e, whatFailed) {
+      var storeErrMsg = 'Handled a `'+req.method+'` request to `'+req.path+'`, but could not '+whatFailed+' for this action (`'+machineDef.identity+'`).  Details: '+(_.isError(e) ? e.stack : util.inspect(e,{depth:null}));
+      if (_.isObject(req._sails) && _.isObject(req._sails.log) && _.isFunction(req._sails.log.error)) {
+        req._sails.log.error(storeErrMsg);
+      }
+      else {
+        console.error(storeErrMsg);
+      }
+
+      if (res.headersSent) {
+        return res.end();
+      }
+      // Don't send the error in the response in production.
+      else if (IS_RUNNING_IN_PRODUCTION) {
+        return res.sendStatus(500);
+      }
+      // Otherwise, send the error message in the response.
+      else {
+        return res.status(500).send(storeErrMsg);
+      }
+    };//ƒ
+
+    // If the `idempotent` option is in use, and this is a POST or PATCH request w/ an `Idempotency-Key`
+    // header, then claim the key before running the machine.  If it was already claimed, then either
+    // replay the saved response (through the same exit), or-- if the original request is still in
+    // progress, or had different argins-- respond w/ a 409 or 422 error instead.
+    var _runMachineIdempotently = function() {
+      var idempotencyKey = req.get('idempotency-key');
+      if (!options.idempotent || !_.contains(['POST', 'PATCH'], req.method) || !_.isString(idempotencyKey) || idempotencyKey === '') {
+        return _runMachine();
+      }//-•
+
+      var storeKey = machineDef.identity+':'+idempotencyKey;
+      var fingerprint = getArginsFingerprint(originalArgins, options.files);
+      options.idempotent.store.add(storeKey, { status: 'inFlight', fingerprint: fingerprint }, options.idempotent.ttlMs, function(err, existingRecord) {
+        try {
+          if (err) { throw err; }
+
+          // If this request claimed the key, run the machine.  (The response is saved once it's been sent.)
+          if (!existingRecord) {
+            idempotencyClaim = { key: idempotencyKey, storeKey: storeKey, fingerprint: fingerprint };
+            if (wasAborted) { return _releaseIdempotencyClaim(); }
+            return _runMachine();
+          }//-•
+
+          if (wasAborted) { return; }
+
+          var idempotencyErrStatus;
+          var idempotencyErrMsg;
+          if (existingRecord.fingerprint !== fingerprint) {
+            idempotencyErrStatus = 422;
+            idempotencyErrMsg = t('idempotencyKeyReused');
+          }
+          else if (existingRecord.status !== 'completed') {
+            idempotencyErrStatus = 409;
+            idempotencyErrMsg = t('idempotencyKeyInFlight');
+          }
+          if (idempotencyErrStatus) {
+            exitAttempts.push('(idempotency)');
+            if (options.problemDetails) {
+              return _sendProblemDetails({ status: idempotencyErrStatus, detail: idempotencyErrMsg });
+            }
+            return res.status(idempotencyErrStatus).send(idempotencyErrMsg);
+          }//-•
+
+          // Otherwise, replay the saved response: w/ the saved headers, and the saved output sent
+          // through the same exit.
+          if (!callbacks[existingRecord.response.exitCodeName]) {
+            throw new Error('The saved response is from an exit (`'+existingRecord.response.exitCodeName+'`) which this action no longer has.');
+          }
+          _.each(existingRecord.response.headers, function(headerValue, headerName) {
+            res.set(headerName, headerValue);
+          });//∞
+          res.set('Idempotent-Replayed', 'true');
+
+          // Use the saved status code too, even if the exit would respond w/ a different one now
+          // (e.g. because the action has changed since).  Since the status code is set in so many
+          // different ways depending on the response type, we do this when the headers are written.
+          var savedStatusCode = existingRecord.response.statusCode;
+          if (_.isNumber(savedStatusCode) && _.isFunction(res.writeHead)) {
+            var _writeHead = res.writeHead;
+            res.writeHead = function() {
+              var writeHeadArgs = _.toArray(arguments);
+              writeHeadArgs[0] = savedStatusCode;
+              return _writeHead.apply(res, writeHeadArgs);
+            };//ƒ
+          }//>-
+
+          return callbacks[existingRecord.response.exitCodeName](existingRecord.response.body);
+
+        } catch (e) { return _handleStoreError(e, 'check the idempotency key'); }
+      });//_∏_
+    };//ƒ
+
+    // If the `rateLimit` option is in use, then count this request against the limit before
+    // running the machine.  (If the limit has been exceeded, the machine is not run at all.)
+    if (!options.rateLimit) {
+      return _runMachineIdempotently();
+    }//-•
+
+    var rateLimitKey = machineDef.identity+':'+options.rateLimit.getKey(req, argins);
+    options.rateLimit.store.increment(rateLimitKey, options.rateLimit.windowMs, function(err, hits) {
+      try {
+        if (err) { throw err; }
+        if (wasAborted) { return; }
+
+        // Let the user agent know where it stands.
+        var secondsUntilReset = Math.max(0, Math.ceil((hits.resetTime.getTime() - Date.now()) / 1000));
+        res.set('RateLimit-Limit', String(options.rateLimit.max));
+        res.set('RateLimit-Remaining', String(Math.max(0, options.rateLimit.max - hits.totalHits)));
+        res.set('RateLimit-Reset', String(secondsUntilReset));
+
+        if (hits.totalHits <= options.rateLimit.max) {
+          return _runMachineIdempotently();
+        }//-•
+
+        // The limit has been exceeded, so respond w/ a 429 (or through the configured exit).
+        res.set('Retry-After', String(secondsUntilReset));
+        if (options.rateLimit.exit) {
+          return callbacks[options.rateLimit.exit]();
+        }//-•
+        exitAttempts.push('(rateLimit)');
+        var rateLimitedMsg = t('rateLimited', { retryAfter: secondsUntilReset });
+        if (options.problemDetails) {
+          return _sendProblemDetails({ status: 429, detail: rateLimitedMsg });
+        }
+        return res.status(429).send(rateLimitedMsg);
+
+      } catch (e) { return _handleStoreError(e, 'check the rate limit'); }
+    });//_∏_
 
-  };//ƒ </define action>
+  };//ƒ </define handleRequest>
+
+  // Use the adapter to build the action (i.e. the function that will actually be called with
+  // each incoming request by Sails, Express, Koa, etc.)
+  var action = adapter.buildHandler(handleRequest);
 
   // Set `IS_MACHINE_AS_ACTION` flag to prevent accidentally attempting to wrap the same thing twice.
   action.IS_MACHINE_AS_ACTION = true;
 
   // Attach toJSON method that exposes this action's definition.
+  // (Including the identity of each of its guards, if it has any.)
   action.toJSON = function(){
-    return wetMachine.toJSON();
+    var json = wetMachine.toJSON();
+    if (guards.length > 0) {
+      json.guards = _.map(guards, function(wetGuard) { return wetGuard.getDef().identity; });
+    }
+    return json;
+  };//ƒ
+
+  // Attach methods that expose this action's normalized machine definition (including response
+  // directives) and machine-as-action options.  (e.g. for generating API documentation)
+  action.getDef = function(){
+    return wetMachine.getDef();
+  };//ƒ
+  action.getOptions = function(){
+    return _.clone(options);
   };//ƒ
 
   // Finally, return the action.
@@ -1167,3 +2548,67 @@ module.exports = function machineAsAction(optsOrMachineDef) {
 };
 
 
+
+/**
+ * machineAsAction.buildOpenApiDocument()
+ *
+ * Build an OpenAPI 3 document from a dictionary mapping route addresses to actions.
+ * (See `lib/private/build-open-api-document.js` for details.)
+ */
+module.exports.buildOpenApiDocument = buildOpenApiDocument;
+
+
+
+/**
+ * machineAsAction.adapters
+ *
+ * The built-in adapters (`express`, `http`, and `koa`), for reference when writing a custom one.
+ * (See `lib/private/adapters/express.js` for details.)
+ */
+module.exports.adapters = ADAPTERS;
+
+
+
+/**
+ * machineAsAction.events
+ *
+ * The global emitter for lifecycle events (`request`, `argins`, `start`, `exit`, `response`,
+ * `doubleExit`, and `responseError`), emitted by every action as it handles each request.
+ * (See `lib/private/lifecycle-events.js` for details.)
+ */
+module.exports.events = lifecycleEvents;
+
+
+
+/**
+ * machineAsAction.metrics
+ *
+ * Once enabled (`machineAsAction.metrics.enable()`), records request counts and durations for every
+ * action (by exit and status code), as well as validation failures and double exits.  Use `.render()`
+ * to get them in the Prometheus text exposition format.
+ * (See `lib/private/build-metrics-registry.js` for details.)
+ */
+module.exports.metrics = buildMetricsRegistry(lifecycleEvents);
+
+
+
+/**
+ * machineAsAction.tracing
+ *
+ * Once enabled (`machineAsAction.tracing.enable({ exporter: ... })`), W3C trace context is propagated
+ * through every action (`traceparent`/`tracestate` in, `env.traceContext`, `traceparent` out), and
+ * a span for each action run is sent to the exporter.  Built-in exporters are available as
+ * `machineAsAction.tracing.exporters`.  (See `lib/private/build-tracer.js` for details.)
+ */
+module.exports.tracing = tracing;
+
+
+
+/**
+ * machineAsAction.cache
+ *
+ * The cache for actions that use the `cache` option.  Use `.invalidate(identity)` to forget the
+ * cached responses for an action (e.g. after the underlying data changes), or `.clear()` to forget
+ * them all.  (See `lib/private/build-response-cache.js` for details.)
+ */
+module.exports.cache = responseCache;
@@ -0,0 +1,161 @@
+/**
+ * Module dependencies
+ */
+
+var http = require('http');
+var url = require('url');
+var util = require('util');
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * decorateNativeReqRes()
+ *
+ * Give a native Node.js request and response (`http.IncomingMessage` and `http.ServerResponse`)
+ * the Express-style properties and methods that machine-as-action relies on.  (Anything that
+ * already exists is left alone.)
+ *
+ * @param  {http.IncomingMessage} req
+ * @param  {http.ServerResponse} res
+ * @param  {Dictionary} extras
+ *         @property {Dictionary?} params   [URL pattern variables, e.g. from a router]
+ *         @property {Dictionary?} query    [the parsed querystring (otherwise parsed from `req.url`)]
+ *         @property {Dictionary?} body     [the parsed request body]
+ *         @property {Dictionary?} session  [the session, if any]
+ *
+ * NOTE THAT THIS FUNCTION MUTATES THE PROVIDED `req` AND `res`!
+ */
+module.exports = function decorateNativeReqRes(req, res, extras) {
+
+  var parsedUrl = url.parse(req.url || '/', true);
+
+  //  ┬─┐┌─┐┌─┐ ┬ ┬┌─┐┌─┐┌┬┐
+  //  ├┬┘├┤ │─┼┐│ │├┤ └─┐ │
+  //  ┴└─└─┘└─┘└└─┘└─┘└─┘ ┴
+  req.path = _.isString(req.path) ? req.path : parsedUrl.pathname;
+  req.params = extras.params || req.params || {};
+  req.query = extras.query || req.query || parsedUrl.query || {};
+  req.body = extras.body || req.body || {};
+  if (!_.isUndefined(extras.session)) {
+    req.session = extras.session;
+  }
+
+  if (!req.cookies) {
+    req.cookies = _.reduce((req.headers.cookie || '').split(';'), function(memo, rawCookie) {
+      var separatorIndex = rawCookie.indexOf('=');
+      if (separatorIndex < 1) { return memo; }
+      var cookieName = rawCookie.slice(0, separatorIndex).trim();
+      var cookieValue = rawCookie.slice(separatorIndex + 1).trim();
+      try {
+        memo[cookieName] = decodeURIComponent(cookieValue);
+      } catch (unusedErr) {
+        memo[cookieName] = cookieValue;
+      }
+      return memo;
+    }, {});
+  }
+
+  if (!_.isFunction(req.get)) {
+    req.get = function(headerName) {
+      return req.headers[headerName.toLowerCase()];
+    };
+  }
+
+  if (!_.isFunction(req.param)) {
+    // (Like Express, URL pattern variables take precedence, then the body, then the querystring.)
+    req.param = function(paramName) {
+      if (_.has(req.params, paramName)) { return req.params[paramName]; }
+      if (_.has(req.body, paramName)) { return req.body[paramName]; }
+      if (_.has(req.query, paramName)) { return req.query[paramName]; }
+      return undefined;
+    };
+  }
+
+
+  //  ┬─┐┌─┐┌─┐┌─┐┌─┐┌┐┌┌─┐┌─┐
+  //  ├┬┘├┤ └─┐├─┘│ ││││└─┐├┤
+  //  ┴└─└─┘└─┘┴  └─┘┘└┘└─┘└─┘
+  if (!_.isFunction(res.status)) {
+    res.status = function(statusCode) {
+      res.statusCode = statusCode;
+      return res;
+    };
+  }
+
+  if (!_.isFunction(res.set)) {
+    res.set = function(headerName, headerValue) {
+      res.setHeader(headerName, headerValue);
+      return res;
+    };
+  }
+
+  if (!_.isFunction(res.vary)) {
+    res.vary = function(fieldName) {
+      var existing = res.getHeader('Vary');
+      var fieldNames = existing ? String(existing).split(/\s*,\s*/) : [];
+      if (!_.contains(fieldNames, fieldName)) {
+        fieldNames.push(fieldName);
+      }
+      res.setHeader('Vary', fieldNames.join(', '));
+      return res;
+    };
+  }
+
+  if (!_.isFunction(res.send)) {
+    res.send = function(body) {
+      if (_.isUndefined(body) || _.isNull(body)) {
+        return res.end();
+      }
+      else if (Buffer.isBuffer(body)) {
+        if (!res.getHeader('Content-Type')) { res.setHeader('Content-Type', 'application/octet-stream'); }
+        return res.end(body);
+      }
+      else if (_.isString(body)) {
+        if (!res.getHeader('Content-Type')) { res.setHeader('Content-Type', 'text/html; charset=utf-8'); }
+        return res.end(body);
+      }
+      else {
+        return res.json(body);
+      }
+    };
+  }
+
+  if (!_.isFunction(res.json)) {
+    res.json = function(data) {
+      if (!res.getHeader('Content-Type')) { res.setHeader('Content-Type', 'application/json; charset=utf-8'); }
+      return res.end(JSON.stringify(data));
+    };
+  }
+
+  if (!_.isFunction(res.sendStatus)) {
+    res.sendStatus = function(statusCode) {
+      res.statusCode = statusCode;
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.end(http.STATUS_CODES[statusCode] || String(statusCode));
+    };
+  }
+
+  if (!_.isFunction(res.redirect)) {
+    res.redirect = function(location) {
+      // (Like Express, use a 302 unless a different redirect status code was already set.)
+      if (res.statusCode < 300 || res.statusCode > 399) {
+        res.statusCode = 302;
+      }
+      res.setHeader('Location', location || '/');
+      return res.end();
+    };
+  }
+
+  if (!_.isFunction(res.serverError)) {
+    res.serverError = function(err) {
+      console.error('Sending 500 ("Server Error") response: \n', err);
+      res.statusCode = 500;
+      if (process.env.NODE_ENV === 'production' || _.isUndefined(err)) {
+        return res.sendStatus(500);
+      }
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.end(_.isError(err) ? err.stack : util.inspect(err, {depth: null}));
+    };
+  }
+
+};
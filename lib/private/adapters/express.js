@@ -0,0 +1,49 @@
+/**
+ * The Express/Sails adapter.
+ *
+ * An adapter lets machine-as-action handle requests from a particular framework (or lack thereof).
+ * Every adapter is a dictionary with:
+ *
+ *   • `identity` {String}
+ *       A unique name for the adapter (e.g. "express").
+ *
+ *   • `buildHandler` {Function}
+ *       Receives the core request handler, which expects Express-style `req` and `res` objects,
+ *       and returns a function for the framework to call with each incoming request (e.g. a
+ *       Koa middleware).  It's up to the adapter to provide a `req` and `res` with everything
+ *       machine-as-action uses:  `req.method`, `req.path`, `req.param()`, `req.get()`, `req.params`,
+ *       `req.query`, and `req.body` on the way in, and `res.status()`, `res.set()`, `res.send()`,
+ *       `res.json()`, `res.sendStatus()`, `res.redirect()`, `res.end()`, `res.headersSent`,
+ *       and `res.finished` on the way out.  (Some response types also rely on `res.view()` or
+ *       `res.serverError()`.)
+ *
+ * Since Sails and Express already provide all of that, this adapter just makes sure it's there.
+ */
+module.exports = {
+
+  identity: 'express',
+
+  buildHandler: function(handleRequest) {
+    return function _handleExpressRequest(req, res) {
+
+      // Validate `req` and `res`
+      ///////////////////////////////////////////////////////////////////////////////////////////////////
+      // Note: we really only need to do these checks once, but they're a neglible hit to performance,
+      // and the extra µs is worth it to ensure continued compatibility when coexisting with other
+      // middleware, policies, frameworks, packages, etc. that might tamper with the global `req`
+      // object (e.g. Passport).
+      ///////////////////////////////////////////////////////////////////////////////////////////////////
+
+      // Sails/Express App Requirements
+      if (!res.json) {
+        throw new Error('Needs `res.json()` to exist (i.e. a Sails.js or Express app)');
+      }
+      if (!res.send) {
+        throw new Error('Needs `res.send()` to exist (i.e. a Sails.js or Express app)');
+      }
+
+      return handleRequest(req, res);
+    };
+  }
+
+};
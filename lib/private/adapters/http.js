@@ -0,0 +1,52 @@
+/**
+ * Module dependencies
+ */
+
+var decorateNativeReqRes = require('./decorate-native-req-res');
+var readNativeRequestBody = require('./read-native-request-body');
+
+
+/**
+ * The bare Node.js `http` adapter.
+ *
+ * The handler built by this adapter can be passed straight to `http.createServer()`, and
+ * also accepts a third argument with URL pattern variables (e.g. from a router like
+ * `find-my-way`).  JSON and URL-encoded request bodies are parsed automatically.
+ *
+ * (See `./express.js` for more about adapters.)
+ */
+module.exports = {
+
+  identity: 'http',
+
+  buildHandler: function(handleRequest) {
+    return function _handleNativeRequest(req, res, params) {
+      readNativeRequestBody(req, function(err, body) {
+        if (err) {
+          res.statusCode = err.code === 'E_REQUEST_BODY_TOO_LARGE' ? 413 : 400;
+          res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+          return res.end(err.message);
+        }//-•
+
+        // Like the Koa adapter, don't let an unexpected error thrown while handling
+        // the request crash the process.  Respond w/ a server error instead.
+        try {
+          decorateNativeReqRes(req, res, {
+            params: params,
+            body: req.body || body
+          });
+          return handleRequest(req, res);
+        } catch (e) {
+          console.error('Unexpected error handling request (`'+req.method+' '+req.url+'`):', e);
+          if (res.headersSent) {
+            return res.end();
+          }
+          res.statusCode = 500;
+          res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+          return res.end('Server Error');
+        }
+      });//_∏_
+    };
+  }
+
+};
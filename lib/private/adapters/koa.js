@@ -0,0 +1,64 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('@sailshq/lodash');
+var decorateNativeReqRes = require('./decorate-native-req-res');
+var readNativeRequestBody = require('./read-native-request-body');
+
+
+/**
+ * The Koa adapter.
+ *
+ * The handler built by this adapter is a Koa middleware.  It takes over the response
+ * (i.e. `ctx.respond = false`), and returns a promise that resolves once the response
+ * has been sent.  URL pattern variables (`ctx.params`, e.g. from `@koa/router`), a body
+ * parsed by other middleware (`ctx.request.body`), and the session (`ctx.session`) are
+ * used if available.  Otherwise, JSON and URL-encoded request bodies are parsed automatically.
+ *
+ * (See `./express.js` for more about adapters.)
+ */
+module.exports = {
+
+  identity: 'koa',
+
+  buildHandler: function(handleRequest) {
+    return function _handleKoaRequest(ctx) {
+      return new global.Promise(function(resolve, reject) {
+
+        // Let machine-as-action send the response.
+        ctx.respond = false;
+
+        var req = ctx.req;
+        var res = ctx.res;
+        res.once('finish', function() { resolve(); });
+        res.once('close', function() { resolve(); });
+
+        (function _getBody(proceed) {
+          if (ctx.request && !_.isUndefined(ctx.request.body)) {
+            return proceed(undefined, ctx.request.body);
+          }
+          readNativeRequestBody(req, proceed);
+        })(function(err, body) {
+          if (err) {
+            res.statusCode = err.code === 'E_REQUEST_BODY_TOO_LARGE' ? 413 : 400;
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            return res.end(err.message);
+          }//-•
+
+          try {
+            decorateNativeReqRes(req, res, {
+              params: ctx.params,
+              query: ctx.query,
+              body: body,
+              session: ctx.session
+            });
+            handleRequest(req, res);
+          } catch (e) { return reject(e); }
+        });//_∏_
+
+      });//_∏_
+    };
+  }
+
+};
@@ -0,0 +1,79 @@
+/**
+ * Module dependencies
+ */
+
+var querystring = require('querystring');
+var _ = require('@sailshq/lodash');
+var flaverr = require('flaverr');
+
+
+/**
+ * The maximum size of a request body (in bytes) that will be read.
+ * @type {Number}
+ */
+var MAX_BODY_SIZE = 1024 * 1024;
+
+
+/**
+ * readNativeRequestBody()
+ *
+ * Read and parse the body of a native Node.js request (`http.IncomingMessage`).
+ * JSON and URL-encoded bodies are parsed.  Anything else is ignored (i.e. `{}`).
+ *
+ * @param  {http.IncomingMessage} req
+ * @param  {Function} done
+ *         @param {Error?} err
+ *                @property {String} code  (===E_INVALID_REQUEST_BODY, or E_REQUEST_BODY_TOO_LARGE if the body exceeds `MAX_BODY_SIZE`)
+ *         @param {Dictionary} body
+ */
+module.exports = function readNativeRequestBody(req, done) {
+
+  // Bodiless requests have nothing to read.
+  if (_.contains(['GET', 'HEAD', 'DELETE', 'OPTIONS'], req.method)) {
+    return done(undefined, {});
+  }//-•
+
+  var contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  var isJson = contentType === 'application/json' || !!contentType.match(/\+json$/);
+  var isUrlEncoded = contentType === 'application/x-www-form-urlencoded';
+
+  var chunks = [];
+  var size = 0;
+  var isDone = false;
+  req.on('data', function(chunk) {
+    if (isDone) { return; }
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      isDone = true;
+      return done(flaverr('E_REQUEST_BODY_TOO_LARGE', new Error('Request body is too large (must be at most '+MAX_BODY_SIZE+' bytes).')));
+    }
+    chunks.push(chunk);
+  });//æ
+  req.on('error', function(err) {
+    if (isDone) { return; }
+    isDone = true;
+    return done(err);
+  });//æ
+  req.on('end', function() {
+    if (isDone) { return; }
+    isDone = true;
+
+    var rawBody = Buffer.concat(chunks).toString('utf8');
+    if (rawBody === '' || (!isJson && !isUrlEncoded)) {
+      return done(undefined, {});
+    }//-•
+
+    if (isUrlEncoded) {
+      return done(undefined, querystring.parse(rawBody));
+    }//-•
+
+    var body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (unusedErr) {
+      return done(flaverr('E_INVALID_REQUEST_BODY', new Error('Could not parse request body as JSON.')));
+    }
+    return done(undefined, _.isObject(body) ? body : {});
+  });//æ
+
+};
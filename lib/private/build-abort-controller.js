@@ -0,0 +1,65 @@
+/**
+ * Module dependencies
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * buildAbortController()
+ *
+ * Build an abort controller, whose `signal` can be passed to code that supports cancellation
+ * (e.g. `fetch()`).  If the global `AbortController` is available (Node >= 15), it is used.
+ * Otherwise, this builds a minimal stand-in with the same basic interface.
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ *          @property {Ref} signal
+ *                    The abort signal.  (`signal.aborted` is `true` once aborted, and
+ *                    "abort" listeners can be attached w/ `signal.addEventListener()`.)
+ *          @property {Function} abort
+ *                    Abort the signal.
+ *                    @param {Error} reason
+ */
+module.exports = function buildAbortController() {
+
+  if (_.isFunction(global.AbortController)) {
+    var abortController = new global.AbortController();
+    return {
+      signal: abortController.signal,
+      abort: function(reason) {
+        abortController.abort(reason);
+      }
+    };
+  }//-•
+
+  // Otherwise, build a stand-in.
+  var emitter = new EventEmitter();
+  var signal = {
+    aborted: false,
+    reason: undefined,
+    onabort: null,
+    addEventListener: function(eventName, listener) {
+      if (eventName === 'abort') { emitter.on('abort', listener); }
+    },
+    removeEventListener: function(eventName, listener) {
+      if (eventName === 'abort') { emitter.removeListener('abort', listener); }
+    }
+  };
+
+  return {
+    signal: signal,
+    abort: function(reason) {
+      if (signal.aborted) { return; }
+      signal.aborted = true;
+      signal.reason = reason;
+      var event = { type: 'abort', target: signal };
+      if (_.isFunction(signal.onabort)) {
+        signal.onabort(event);
+      }
+      emitter.emit('abort', event);
+    }
+  };
+
+};
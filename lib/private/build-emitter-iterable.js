@@ -0,0 +1,82 @@
+/**
+ * buildEmitterIterable()
+ *
+ * Build an async iterable that provides each item an event emitter emits as "data", until it
+ * emits "end" (or "error").  Items emitted before they're read are queued up.
+ *
+ * @param  {Ref} emitter
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Ref}
+ */
+module.exports = function buildEmitterIterable(emitter) {
+
+  var iterable = {};
+  iterable[global.Symbol.asyncIterator] = function() {
+
+    var queuedItems = [];
+    var hasEnded = false;
+    var error;
+    var waitingRead;
+
+    var _settleWaitingRead = function() {
+      if (!waitingRead) { return; }
+      var read = waitingRead;
+      if (queuedItems.length > 0) {
+        waitingRead = undefined;
+        return read.resolve({ done: false, value: queuedItems.shift() });
+      }
+      else if (error) {
+        waitingRead = undefined;
+        return read.reject(error);
+      }
+      else if (hasEnded) {
+        waitingRead = undefined;
+        return read.resolve({ done: true, value: undefined });
+      }
+    };//ƒ
+
+    var _onData = function(item) {
+      queuedItems.push(item);
+      _settleWaitingRead();
+    };//ƒ
+    var _onEnd = function() {
+      hasEnded = true;
+      _stopListening();
+      _settleWaitingRead();
+    };//ƒ
+    var _onError = function(err) {
+      error = err;
+      _stopListening();
+      _settleWaitingRead();
+    };//ƒ
+    var _stopListening = function() {
+      emitter.removeListener('data', _onData);
+      emitter.removeListener('end', _onEnd);
+      emitter.removeListener('error', _onError);
+    };//ƒ
+
+    emitter.on('data', _onData);
+    emitter.once('end', _onEnd);
+    emitter.once('error', _onError);
+
+    return {
+      next: function() {
+        return new global.Promise(function(resolve, reject) {
+          waitingRead = { resolve: resolve, reject: reject };
+          _settleWaitingRead();
+        });
+      },
+      return: function() {
+        hasEnded = true;
+        queuedItems = [];
+        _stopListening();
+        _settleWaitingRead();
+        return global.Promise.resolve({ done: true, value: undefined });
+      }
+    };
+
+  };
+  return iterable;
+
+};
@@ -0,0 +1,132 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('@sailshq/lodash');
+var rttc = require('rttc');
+var parseValidationProblem = require('./parse-validation-problem');
+
+
+/**
+ * The value used in place of the received value for `sensitive` inputs.
+ * @type {String}
+ */
+var REDACTED = '[REDACTED]';
+
+
+/**
+ * buildInputProblems()
+ *
+ * Build structured, per-input problem entries from the validation problems of an `E_INVALID_ARGINS`
+ * error (which are human-readable strings).  Where structured details are available, they're used
+ * instead of the strings: misplaced params are tracked by input as they're found, and the `reason`
+ * comes from re-validating the received value w/ rttc.  Otherwise, the input is determined from the
+ * problem string (see `parse-validation-problem.js`).
+ *
+ * @param  {Dictionary} opts
+ *         @property {Array} problems            [the validation problems (strings)]
+ *         @property {Dictionary} inputs         [normalized input definitions]
+ *         @property {Dictionary} argins         [the argins, as originally received (before coercion)]
+ *         @property {Request} req
+ *         @property {Array?} files              [the `files` option]
+ *         @property {String?} urlWildcardSuffix [the `urlWildcardSuffix` option]
+ *         @property {Array?} misplacedParams    [params sent from the wrong place, each w/ `input` and `problem`]
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Array}
+ *          e.g.
+ *          [
+ *            {
+ *              input: 'age',                                 // the input code name
+ *              parameter: { in: 'query', name: 'age' },      // where the request parameter came from
+ *              expected: 'number',                           // the input's type schema
+ *              received: 'three',                            // (or "[REDACTED]" for `sensitive` inputs)
+ *              reason: 'wrongType',                          // "missing", "wrongType", "failedCustomValidation", or "misplaced"
+ *              message: 'Invalid "age": ...'                 // the original problem message
+ *            },
+ *            …
+ *          ]
+ *
+ *          (Problems that aren't about a particular input-- or that can't be parsed-- are left out.)
+ */
+module.exports = function buildInputProblems(opts) {
+
+  var isBodiless = _.contains(['GET', 'HEAD', 'DELETE'], opts.req.method);
+
+  var inputCodeNames = _.keys(opts.inputs);
+
+  return _.reduce(opts.problems, function(memo, problem) {
+
+    var misplacedParam = _.find(opts.misplacedParams || [], { problem: problem });
+    var inputCodeName = misplacedParam ? misplacedParam.input : parseValidationProblem(problem, inputCodeNames).input;
+    var inputDef = inputCodeName ? opts.inputs[inputCodeName] : undefined;
+    if (!inputDef) {
+      return memo;
+    }//-•
+
+    // Figure out where this parameter came from (or if it's missing, where it was expected).
+    var parameter;
+    if (inputDef.in) {
+      parameter = { in: inputDef.in, name: inputDef.name };
+    }
+    else if (_.contains(opts.files || [], inputCodeName)) {
+      parameter = { in: 'body', name: inputCodeName };
+    }
+    else if (opts.urlWildcardSuffix === inputCodeName) {
+      parameter = { in: 'path', name: inputCodeName };
+    }
+    else if (_.isObject(opts.req.params) && _.has(opts.req.params, inputCodeName)) {
+      parameter = { in: 'path', name: inputCodeName };
+    }
+    else if (!isBodiless && _.isObject(opts.req.body) && _.has(opts.req.body, inputCodeName)) {
+      parameter = { in: 'body', name: inputCodeName };
+    }
+    else if (_.isObject(opts.req.query) && _.has(opts.req.query, inputCodeName)) {
+      parameter = { in: 'query', name: inputCodeName };
+    }
+    else {
+      parameter = { in: isBodiless ? 'query' : 'body', name: inputCodeName };
+    }
+
+    // Figure out why.
+    var received = opts.argins[inputCodeName];
+    var reason;
+    if (misplacedParam) {
+      reason = 'misplaced';
+    }
+    else if (inputDef.required && (_.isUndefined(received) || received === '' || _.isNull(received))) {
+      reason = 'missing';
+    }
+    else if (_.isNull(received)) {
+      reason = 'wrongType';
+    }
+    else {
+      try {
+        rttc.validate(inputDef.type, received);
+        // If the value is the right type, it must have violated one of the input's
+        // other validation rules (e.g. `isEmail` or `custom`).
+        reason = 'failedCustomValidation';
+      } catch (err) {
+        switch (err.code) {
+          case 'E_INVALID': reason = 'wrongType'; break;
+          default: throw err;
+        }
+      }
+    }
+
+    var inputProblem = {
+      input: inputCodeName,
+      parameter: parameter,
+      expected: inputDef.type,
+      reason: reason,
+      message: String(problem)
+    };
+    if (!_.isUndefined(received) && !_.contains(opts.files || [], inputCodeName)) {
+      inputProblem.received = inputDef.sensitive ? REDACTED : received;
+    }
+
+    memo.push(inputProblem);
+    return memo;
+  }, []);
+
+};
@@ -0,0 +1,56 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * buildJsonSchema()
+ *
+ * Build a JSON Schema (in the subset understood by OpenAPI 3) from an RTTC type schema.
+ *
+ * @param  {~TypeSchema} typeSchema
+ *         An RTTC type schema (e.g. `'string'`, `[{id: 'number'}]`, or `{}`),
+ *         like the result of `rttc.infer()`.
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ *         A JSON Schema.  Note that `json` and `ref` are represented as `{}` (i.e. anything),
+ *         and that every key in a faceted dictionary is required (since that's how RTTC
+ *         treats them).
+ */
+module.exports = function buildJsonSchema(typeSchema) {
+
+  if (_.isArray(typeSchema)) {
+    return {
+      type: 'array',
+      items: typeSchema.length === 0 ? {} : buildJsonSchema(typeSchema[0])
+    };
+  }
+  else if (_.isPlainObject(typeSchema)) {
+    var jsonSchema = { type: 'object' };
+    if (_.keys(typeSchema).length > 0) {
+      jsonSchema.properties = _.reduce(typeSchema, function(memo, nestedTypeSchema, key) {
+        memo[key] = buildJsonSchema(nestedTypeSchema);
+        return memo;
+      }, {});
+      jsonSchema.required = _.keys(typeSchema);
+    }
+    return jsonSchema;
+  }
+
+  switch (typeSchema) {
+    case 'string': return { type: 'string' };
+    case 'number': return { type: 'number' };
+    case 'boolean': return { type: 'boolean' };
+    case 'lamda': return { type: 'string', description: 'A function (dehydrated into a string).' };
+    case 'json':
+    case 'ref':
+      return {};
+    default:
+      throw new Error('Consistency violation: Unrecognized type schema: '+util.inspect(typeSchema, {depth: null}));
+  }
+
+};
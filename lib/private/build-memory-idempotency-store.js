@@ -0,0 +1,80 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * buildMemoryIdempotencyStore()
+ *
+ * Build an idempotency store that keeps records in memory.  (This is the default store for the
+ * `idempotent` option.  Note that records aren't shared between processes-- so if your app runs
+ * on more than one server, use a shared store instead.)
+ *
+ * An idempotency store is a dictionary with three functions:
+ *
+ * • `add(key, record, ttlMs, done)`
+ *     If there is no (unexpired) record for `key`, save `record`, then call `done(err)`.  Otherwise,
+ *     leave the existing record alone, and call `done(err, existingRecord)`.  This must be atomic.
+ *
+ * • `set(key, record, ttlMs, done)`
+ *     Save `record` for `key` (replacing any existing record), then call `done(err)`.
+ *
+ * • `remove(key, done)`
+ *     Forget the record for `key` (if any), then call `done(err)`.
+ *
+ * Records are JSON-serializable dictionaries.  They should expire after `ttlMs` milliseconds.
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ */
+module.exports = function buildMemoryIdempotencyStore() {
+
+  var entriesByKey = {};
+
+  // Expired entries are cleaned up once in a while (rather than on a timer).
+  var nextSweepAt = 0;
+  var _sweepIfRelevant = function(now) {
+    if (now < nextSweepAt) { return; }
+    _.each(_.keys(entriesByKey), function(key) {
+      if (entriesByKey[key].expiresAt <= now) {
+        delete entriesByKey[key];
+      }
+    });//∞
+    nextSweepAt = now + 60*1000;
+  };//ƒ
+
+  var _getUnexpiredEntry = function(key, now) {
+    var entry = entriesByKey[key];
+    return (entry && entry.expiresAt > now) ? entry : undefined;
+  };//ƒ
+
+  return {
+
+    add: function(key, record, ttlMs, done) {
+      var now = Date.now();
+      _sweepIfRelevant(now);
+      var existingEntry = _getUnexpiredEntry(key, now);
+      if (existingEntry) {
+        return done(undefined, _.cloneDeep(existingEntry.record));
+      }
+      entriesByKey[key] = { record: _.cloneDeep(record), expiresAt: now + ttlMs };
+      return done();
+    },
+
+    set: function(key, record, ttlMs, done) {
+      var now = Date.now();
+      _sweepIfRelevant(now);
+      entriesByKey[key] = { record: _.cloneDeep(record), expiresAt: now + ttlMs };
+      return done();
+    },
+
+    remove: function(key, done) {
+      delete entriesByKey[key];
+      return done();
+    }
+
+  };
+
+};
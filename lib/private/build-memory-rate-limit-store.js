@@ -0,0 +1,73 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * buildMemoryRateLimitStore()
+ *
+ * Build a rate limit store that keeps track of hits in memory.  (This is the default store for
+ * the `rateLimit` option.  Note that hits aren't shared between processes-- so if your app runs
+ * on more than one server, use a shared store instead.)
+ *
+ * A rate limit store is a dictionary with an `increment` function:
+ *
+ * ```
+ * increment(key, windowMs, done)
+ * ```
+ *
+ * It should record a hit for `key` in its current window (starting a new window, `windowMs` long,
+ * if there isn't one), then call `done(err, { totalHits: Number, resetTime: Date })`, where
+ * `totalHits` is the number of hits for `key` in the current window (including this one), and
+ * `resetTime` is when the current window ends.
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ *          @property {Function} increment
+ *          @property {Function} reset
+ *                    Forget about all hits for a key.
+ *                    @param {String} key
+ */
+module.exports = function buildMemoryRateLimitStore() {
+
+  var windowsByKey = {};
+
+  // Expired windows are cleaned up once in a while (rather than on a timer), so that
+  // they don't pile up for keys which are never seen again.
+  var nextSweepAt = 0;
+
+  return {
+
+    increment: function(key, windowMs, done) {
+      var now = Date.now();
+
+      if (now >= nextSweepAt) {
+        _.each(_.keys(windowsByKey), function(someKey) {
+          if (windowsByKey[someKey].resetTime <= now) {
+            delete windowsByKey[someKey];
+          }
+        });//∞
+        nextSweepAt = now + windowMs;
+      }//>-
+
+      var currentWindow = windowsByKey[key];
+      if (!currentWindow || currentWindow.resetTime <= now) {
+        currentWindow = windowsByKey[key] = { totalHits: 0, resetTime: now + windowMs };
+      }
+      currentWindow.totalHits++;
+
+      return done(undefined, {
+        totalHits: currentWindow.totalHits,
+        resetTime: new Date(currentWindow.resetTime)
+      });
+    },
+
+    reset: function(key) {
+      delete windowsByKey[key];
+    }
+
+  };
+
+};
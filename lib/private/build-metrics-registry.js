@@ -0,0 +1,176 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * The default histogram buckets for request durations (in seconds).
+ * @type {Array}
+ */
+var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+
+/**
+ * buildMetricsRegistry()
+ *
+ * Build a registry that (once enabled) records metrics about every action, using their lifecycle
+ * events, and renders them in the Prometheus text exposition format.  (Exposed as `machineAsAction.metrics`.)
+ *
+ * Metrics:
+ * • `machine_as_action_requests_total`           -- counter, labelled by `action`, `exit`, and `status_code`
+ * • `machine_as_action_request_duration_seconds` -- histogram, labelled by `action`, `exit`, and `status_code`
+ * • `machine_as_action_validation_failures_total` -- counter, labelled by `action`
+ * • `machine_as_action_double_exits_total`       -- counter, labelled by `action`
+ *
+ * > `exit` is the code name of the exit the response was sent through (or '' if it wasn't sent through
+ * > an exit-- e.g. because of a rate limit or a timeout), and `status_code` is the status code that was
+ * > actually sent.
+ *
+ * @param  {EventEmitter} lifecycleEvents
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ *          @property {Function} enable
+ *                    Start recording metrics.
+ *                    @param {Dictionary?} opts
+ *                           @property {Array?} buckets   [histogram buckets, in seconds]
+ *          @property {Function} disable
+ *                    Stop recording metrics.  (Metrics recorded so far are kept.)
+ *          @property {Function} reset
+ *                    Forget all metrics recorded so far.
+ *          @property {Function} render
+ *                    @returns {String}  [the metrics, in the Prometheus text exposition format]
+ *          @property {String} contentType
+ *                    The content type to use when serving the rendered metrics.
+ */
+module.exports = function buildMetricsRegistry(lifecycleEvents) {
+
+  var buckets = DEFAULT_BUCKETS;
+  var isEnabled = false;
+
+  // Recorded metrics, keyed by their (serialized) labels.
+  var requests;
+  var validationFailures;
+  var doubleExits;
+  var _reset = function() {
+    requests = {};
+    validationFailures = {};
+    doubleExits = {};
+  };//ƒ
+  _reset();
+
+  var _serializeLabels = function(labels) {
+    return _.map(labels, function(value, name) {
+      return name+'="'+String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')+'"';
+    }).join(',');
+  };//ƒ
+
+  var _handleResponse = function(event) {
+    var labels = _serializeLabels({ action: event.identity, exit: event.exitCodeName || '', 'status_code': event.statusCode });
+    var durationInSeconds = event.duration / 1000;
+    requests[labels] = requests[labels] || { count: 0, sum: 0, bucketCounts: _.map(buckets, function() { return 0; }) };
+    requests[labels].count++;
+    requests[labels].sum += durationInSeconds;
+    _.each(buckets, function(upperBound, i) {
+      if (durationInSeconds <= upperBound) {
+        requests[labels].bucketCounts[i]++;
+      }
+    });//∞
+  };//ƒ
+
+  var _handleExit = function(event) {
+    if (!event.isValidationError) { return; }
+    var labels = _serializeLabels({ action: event.identity });
+    validationFailures[labels] = (validationFailures[labels] || 0) + 1;
+  };//ƒ
+
+  var _handleDoubleExit = function(event) {
+    var labels = _serializeLabels({ action: event.identity });
+    doubleExits[labels] = (doubleExits[labels] || 0) + 1;
+  };//ƒ
+
+  // (These listeners are "passive"-- i.e. they don't stop warnings about double exits from being logged.)
+  _handleResponse.isPassive = true;
+  _handleExit.isPassive = true;
+  _handleDoubleExit.isPassive = true;
+
+  return {
+
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+
+    enable: function(opts) {
+      opts = opts || {};
+      if (!_.isUndefined(opts.buckets)) {
+        var areBucketsValid = _.isArray(opts.buckets) && opts.buckets.length > 0 && _.all(opts.buckets, function(upperBound, i) {
+          return _.isNumber(upperBound) && upperBound > 0 && (i === 0 || upperBound > opts.buckets[i-1]);
+        });
+        if (!areBucketsValid) {
+          throw new Error('If specified, `buckets` should be an array of positive numbers (in seconds), in increasing order.  But instead, got: '+util.inspect(opts.buckets,{depth:null}));
+        }
+        if (!_.isEqual(opts.buckets, buckets)) {
+          buckets = opts.buckets;
+          // (Existing histograms have different buckets, so start over.)
+          _reset();
+        }
+      }//>-
+
+      if (isEnabled) { return; }
+      isEnabled = true;
+      lifecycleEvents.on('response', _handleResponse);
+      lifecycleEvents.on('exit', _handleExit);
+      lifecycleEvents.on('doubleExit', _handleDoubleExit);
+    },
+
+    disable: function() {
+      if (!isEnabled) { return; }
+      isEnabled = false;
+      lifecycleEvents.removeListener('response', _handleResponse);
+      lifecycleEvents.removeListener('exit', _handleExit);
+      lifecycleEvents.removeListener('doubleExit', _handleDoubleExit);
+    },
+
+    reset: function() {
+      _reset();
+    },
+
+    render: function() {
+      var lines = [];
+
+      lines.push('# HELP machine_as_action_requests_total Number of requests handled, by action, exit, and status code.');
+      lines.push('# TYPE machine_as_action_requests_total counter');
+      _.each(requests, function(recorded, labels) {
+        lines.push('machine_as_action_requests_total{'+labels+'} '+recorded.count);
+      });//∞
+
+      lines.push('# HELP machine_as_action_request_duration_seconds How long it took to respond to requests, by action, exit, and status code.');
+      lines.push('# TYPE machine_as_action_request_duration_seconds histogram');
+      _.each(requests, function(recorded, labels) {
+        _.each(buckets, function(upperBound, i) {
+          lines.push('machine_as_action_request_duration_seconds_bucket{'+labels+',le="'+upperBound+'"} '+recorded.bucketCounts[i]);
+        });//∞
+        lines.push('machine_as_action_request_duration_seconds_bucket{'+labels+',le="+Inf"} '+recorded.count);
+        lines.push('machine_as_action_request_duration_seconds_sum{'+labels+'} '+recorded.sum);
+        lines.push('machine_as_action_request_duration_seconds_count{'+labels+'} '+recorded.count);
+      });//∞
+
+      lines.push('# HELP machine_as_action_validation_failures_total Number of requests with missing or invalid parameters, by action.');
+      lines.push('# TYPE machine_as_action_validation_failures_total counter');
+      _.each(validationFailures, function(count, labels) {
+        lines.push('machine_as_action_validation_failures_total{'+labels+'} '+count);
+      });//∞
+
+      lines.push('# HELP machine_as_action_double_exits_total Number of times an action called an exit after it had already responded, by action.');
+      lines.push('# TYPE machine_as_action_double_exits_total counter');
+      _.each(doubleExits, function(count, labels) {
+        lines.push('machine_as_action_double_exits_total{'+labels+'} '+count);
+      });//∞
+
+      return lines.join('\n')+'\n';
+    }
+
+  };
+
+};
@@ -0,0 +1,538 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+var rttc = require('rttc');
+var flaverr = require('flaverr');
+var getOutputExample = require('./get-output-example');
+var buildJsonSchema = require('./build-json-schema');
+
+
+/**
+ * The JSON Schema for an RFC 7807 Problem Details document (see the `problemDetails` option).
+ * @type {Dictionary}
+ */
+var PROBLEM_DETAILS_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string' },
+    title: { type: 'string' },
+    status: { type: 'number' },
+    detail: { type: 'string' },
+    instance: { type: 'string' },
+    'invalid-params': {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { name: { type: 'string' }, reason: { type: 'string' } }
+      }
+    }
+  },
+  required: ['type', 'title', 'status']
+};
+
+/**
+ * The JSON Schema for the default response to a request w/ missing or invalid parameters
+ * (i.e. an `E_MISSING_OR_INVALID_PARAMS` error, including its per-input problems).
+ * @type {Dictionary}
+ */
+var INVALID_PARAMS_SCHEMA = {
+  type: 'object',
+  properties: {
+    code: { type: 'string' },
+    problems: { type: 'array', items: { type: 'string' } },
+    inputProblems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          input: { type: 'string' },
+          parameter: {
+            type: 'object',
+            properties: { in: { type: 'string' }, name: { type: 'string' } },
+            required: ['in', 'name']
+          },
+          expected: {},
+          received: {},
+          reason: { type: 'string', enum: ['missing', 'wrongType', 'failedCustomValidation', 'misplaced'] },
+          message: { type: 'string' }
+        },
+        required: ['input', 'parameter', 'expected', 'reason', 'message']
+      }
+    },
+    message: { type: 'string' }
+  },
+  required: ['code', 'problems', 'inputProblems', 'message']
+};
+
+/**
+ * The HTTP methods that can be documented as OpenAPI operations.
+ * @type {Array}
+ */
+var OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+
+/**
+ * buildOpenApiDocument()
+ *
+ * Build an OpenAPI 3 document describing the provided actions (i.e. functions built by
+ * machine-as-action), using their inputs, exits, and response directives.
+ *
+ * @required {Dictionary} routes
+ *           A dictionary mapping route addresses to actions (e.g. a Sails `routes` config).
+ *           Each value may either be an action, or a route target with an action as its `fn`.
+ *           Anything else (e.g. a plain function, a view target, or a regex route address) is
+ *           skipped, since there's no machine definition to document.
+ *
+ *           e.g.
+ *           {
+ *             'GET /users/:id': asAction({...}),
+ *             'POST /users': { fn: asAction({...}) }
+ *           }
+ *
+ * @optional {Dictionary} options
+ *           @property {Dictionary?} info     [OpenAPI `info` (e.g. `title`, `version`)]
+ *           @property {Array?} servers       [OpenAPI `servers`]
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ *          An OpenAPI 3 document, ready to be JSON-encoded.
+ *
+ * @throws {Error} If a route address cannot be understood
+ *         @property {String} code  (===E_INVALID_ROUTE_ADDRESS)
+ */
+module.exports = function buildOpenApiDocument(routes, options) {
+
+  if (!_.isObject(routes) || _.isArray(routes) || _.isFunction(routes)) {
+    throw new Error('Consistency violation: `routes` must be provided as a dictionary mapping route addresses to actions.');
+  }
+  options = options || {};
+
+  var doc = {
+    openapi: '3.0.3',
+    info: _.extend({
+      title: 'API',
+      version: '0.0.0'
+    }, options.info),
+    paths: {}
+  };
+  if (options.servers) {
+    doc.servers = options.servers;
+  }
+
+  var usedOperationIds = [];
+
+  _.each(routes, function(target, address) {
+
+    // Look up the action for this route, skipping anything that isn't from machine-as-action.
+    var action = _.isFunction(target) ? target : (_.isObject(target) ? target.fn : undefined);
+    if (!_.isFunction(action) || !action.IS_MACHINE_AS_ACTION) {
+      return;
+    }//-•
+
+    // Regex routes can't be described in OpenAPI.
+    if (address.match(/^\s*r\|/)) {
+      return;
+    }//-•
+
+    // Parse the route address (e.g. 'GET /users/:id').
+    // > If no verb is specified (or it's `all`), this is documented as a GET.
+    var parsedAddress = address.trim().match(/^(?:(\S+)\s+)?(\/\S*)$/);
+    if (!parsedAddress) {
+      throw flaverr('E_INVALID_ROUTE_ADDRESS', new Error(util.format('Cannot document route ("%s"): Could not parse this route address.  (Should be something like \'GET /users/:id\'.)', address)));
+    }
+    var method = (parsedAddress[1] || 'get').toLowerCase();
+    if (method === 'all') {
+      method = 'get';
+    }
+    if (!_.contains(OPERATION_METHODS, method)) {
+      throw flaverr('E_INVALID_ROUTE_ADDRESS', new Error(util.format('Cannot document route ("%s"): Unrecognized HTTP method ("%s").', address, parsedAddress[1])));
+    }
+
+    var def = action.getDef();
+    var actionOptions = action.getOptions();
+
+    // Convert the URL pattern into an OpenAPI path template.
+    // (e.g. `/users/:id/files/*` => `/users/{id}/files/{docPath}`)
+    var pathParamNames = [];
+    var pathTemplate = parsedAddress[2].replace(/:([^\/\?]+)\??/g, function(unused, paramName) {
+      pathParamNames.push(paramName);
+      return '{'+paramName+'}';
+    });
+    if (pathTemplate.match(/\*$/)) {
+      var wildcardParamName = actionOptions.urlWildcardSuffix || '0';
+      pathParamNames.push(wildcardParamName);
+      pathTemplate = pathTemplate.replace(/\*$/, '{'+wildcardParamName+'}');
+    }
+
+    var isBodiless = _.contains(['get', 'head', 'delete'], method);
+
+    // (The `idempotent` option only applies to POST and PATCH requests.)
+    var isIdempotent = !!actionOptions.idempotent && _.contains(['post', 'patch'], method);
+
+
+    //  ┌─┐┌─┐┬─┐┌─┐┌┬┐┌─┐┌┬┐┌─┐┬─┐┌─┐
+    //  ├─┘├─┤├┬┘├─┤│││├┤  │ ├┤ ├┬┘└─┐
+    //  ┴  ┴ ┴┴└─┴ ┴┴ ┴└─┘ ┴ └─┘┴└─└─┘
+    var parameters = [];
+    var bodyProperties = {};
+    var requiredBodyProperties = [];
+
+    _.each(def.inputs, function(inputDef, inputCodeName) {
+
+      // (Input definitions are normally normalized to have a `type` by now, but just in case one only
+      // has an `example`, infer the type from that.)
+      var inputType = inputDef.type;
+      if (_.isUndefined(inputType)) {
+        inputType = _.isUndefined(inputDef.example) ? 'ref' : rttc.infer(inputDef.example);
+      }
+
+      var schema = buildJsonSchema(inputType);
+      if (_.contains(['string', 'number', 'boolean'], inputType) && !_.isUndefined(inputDef.example)) {
+        schema.example = inputDef.example;
+      }
+      if (!_.isUndefined(inputDef.defaultsTo)) {
+        schema.default = inputDef.defaultsTo;
+      }
+
+      // Figure out where this input comes from.
+      var source;
+      var paramName = inputCodeName;
+      if (_.contains(actionOptions.files || [], inputCodeName)) {
+        source = 'file';
+      }
+      else if (actionOptions.urlWildcardSuffix === inputCodeName) {
+        source = 'path';
+      }
+      else if (inputDef.in) {
+        source = inputDef.in;
+        paramName = inputDef.name;
+      }
+      else if (_.contains(pathParamNames, inputCodeName)) {
+        source = 'path';
+      }
+      else {
+        source = isBodiless ? 'query' : 'body';
+      }
+
+      switch (source) {
+        case 'session':
+          // Not provided by the client, so there's nothing to document.
+          return;
+        case 'file':
+          bodyProperties[inputCodeName] = _.extend({ type: 'string', format: 'binary' }, inputDef.description ? { description: inputDef.description } : {});
+          if (inputDef.required) { requiredBodyProperties.push(inputCodeName); }
+          return;
+        case 'body':
+          bodyProperties[paramName] = _.extend(schema, inputDef.description ? { description: inputDef.description } : {});
+          if (inputDef.required) { requiredBodyProperties.push(paramName); }
+          return;
+        default:
+          parameters.push(_.extend({
+            name: paramName,
+            in: source,
+            required: source === 'path' ? true : !!inputDef.required
+          }, inputDef.description ? { description: inputDef.description } : {}, {
+            schema: schema
+          }));
+          if (source === 'path') {
+            pathParamNames = _.without(pathParamNames, paramName);
+          }
+          return;
+      }
+
+    });//∞
+
+    // Any URL pattern variables that don't correspond with an input still need to be documented.
+    _.each(pathParamNames, function(paramName) {
+      parameters.push({ name: paramName, in: 'path', required: true, schema: { type: 'string' } });
+    });//∞
+
+    // If the `idempotent` option is in use, clients may send an `Idempotency-Key` header.
+    if (isIdempotent) {
+      parameters.push({
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        description: 'A unique key for this request, so that it can be safely retried.  (Retries w/ the same key get the original response.)',
+        schema: { type: 'string' }
+      });
+    }
+
+    var requestBody;
+    if (_.keys(bodyProperties).length > 0) {
+      var bodySchema = { type: 'object', properties: bodyProperties };
+      if (requiredBodyProperties.length > 0) {
+        bodySchema.required = requiredBodyProperties;
+      }
+      var hasFiles = _.any(actionOptions.files || [], function(inputCodeName) { return !!bodyProperties[inputCodeName]; });
+      requestBody = { content: {} };
+      requestBody.content[hasFiles ? 'multipart/form-data' : 'application/json'] = { schema: bodySchema };
+      if (requiredBodyProperties.length > 0) {
+        requestBody.required = true;
+      }
+    }
+
+
+    //  ┬─┐┌─┐┌─┐┌─┐┌─┐┌┐┌┌─┐┌─┐┌─┐
+    //  ├┬┘├┤ └─┐├─┘│ ││││└─┐├┤ └─┐
+    //  ┴└─└─┘└─┘┴  └─┘┘└┘└─┘└─┘└─┘
+    // Group exits by status code, since more than one exit might share the same one.
+    var exitsByStatusCode = {};
+    _.each(def.exits, function(exitDef, exitCodeName) {
+      var statusCode = String(exitDef.statusCode);
+      exitsByStatusCode[statusCode] = exitsByStatusCode[statusCode] || [];
+      exitsByStatusCode[statusCode].push({ exitCodeName: exitCodeName, exitDef: exitDef });
+    });//∞
+
+    // Runtime validation errors respond w/ the status code from the `invalidParamsResponse` directive
+    // (or a 400).
+    if (_.keys(def.inputs).length > 0) {
+      var invalidParamsStatusCode = String((actionOptions.invalidParamsResponse && actionOptions.invalidParamsResponse.statusCode) || 400);
+      exitsByStatusCode[invalidParamsStatusCode] = exitsByStatusCode[invalidParamsStatusCode] || [];
+      exitsByStatusCode[invalidParamsStatusCode].push({ isValidationError: true });
+    }
+
+    // If any of the exits use content negotiation, requests that don't accept any of their
+    // representations get a 406.
+    if (_.any(def.exits, function(exitDef) { return exitDef.responseType === '' && !!exitDef.representations; })) {
+      exitsByStatusCode['406'] = exitsByStatusCode['406'] || [];
+      exitsByStatusCode['406'].push({ isNotAcceptableError: true });
+    }
+
+    // If the `idempotent` option is in use, retries w/ an `Idempotency-Key` that's still in use get
+    // a 409, and retries that reuse one w/ different argins get a 422.
+    if (isIdempotent) {
+      exitsByStatusCode['409'] = exitsByStatusCode['409'] || [];
+      exitsByStatusCode['409'].push({ isIdempotencyError: true, description: 'A request w/ the same `Idempotency-Key` is still in progress.' });
+      exitsByStatusCode['422'] = exitsByStatusCode['422'] || [];
+      exitsByStatusCode['422'].push({ isIdempotencyError: true, description: 'The `Idempotency-Key` was already used for a request w/ different parameters.' });
+    }
+
+    // If there's a rate limit w/o an exit to respond through, requests over the limit get a 429.
+    if (actionOptions.rateLimit && !actionOptions.rateLimit.exit) {
+      exitsByStatusCode['429'] = exitsByStatusCode['429'] || [];
+      exitsByStatusCode['429'].push({ isRateLimitError: true });
+    }
+
+    var responses = _.reduce(exitsByStatusCode, function(memo, exitInfos, statusCode) {
+
+      var descriptions = [];
+      var schemasByMediaType = {};
+      var headers = {};
+
+      _.each(exitInfos, function(exitInfo) {
+
+        if (exitInfo.isValidationError) {
+          descriptions.push('One or more parameters were missing or invalid.');
+          if (actionOptions.invalidParamsResponse && actionOptions.invalidParamsResponse.responseType === 'view') {
+            schemasByMediaType['text/html'] = schemasByMediaType['text/html'] || [];
+            schemasByMediaType['text/html'].push({ type: 'string' });
+          }
+          else if (actionOptions.problemDetails) {
+            schemasByMediaType['application/problem+json'] = _.union(schemasByMediaType['application/problem+json'] || [], [PROBLEM_DETAILS_SCHEMA]);
+          }
+          else {
+            schemasByMediaType['application/json'] = _.union(schemasByMediaType['application/json'] || [], [INVALID_PARAMS_SCHEMA]);
+          }
+          return;
+        }//-•
+
+        if (exitInfo.isNotAcceptableError) {
+          descriptions.push('None of the available representations are acceptable.  (See the `Accept` header.)');
+          schemasByMediaType['text/plain'] = schemasByMediaType['text/plain'] || [];
+          schemasByMediaType['text/plain'].push({ type: 'string' });
+          return;
+        }//-•
+
+        if (exitInfo.isIdempotencyError) {
+          descriptions.push(exitInfo.description);
+          if (actionOptions.problemDetails) {
+            schemasByMediaType['application/problem+json'] = _.union(schemasByMediaType['application/problem+json'] || [], [PROBLEM_DETAILS_SCHEMA]);
+          }
+          else {
+            schemasByMediaType['text/plain'] = schemasByMediaType['text/plain'] || [];
+            schemasByMediaType['text/plain'].push({ type: 'string' });
+          }
+          return;
+        }//-•
+
+        if (exitInfo.isRateLimitError) {
+          descriptions.push('Too many requests.  (Try again after the number of seconds in the `Retry-After` header.)');
+          headers['Retry-After'] = { schema: { type: 'integer' } };
+          if (actionOptions.problemDetails) {
+            schemasByMediaType['application/problem+json'] = _.union(schemasByMediaType['application/problem+json'] || [], [PROBLEM_DETAILS_SCHEMA]);
+          }
+          else {
+            schemasByMediaType['text/plain'] = schemasByMediaType['text/plain'] || [];
+            schemasByMediaType['text/plain'].push({ type: 'string' });
+          }
+          return;
+        }//-•
+
+        var exitDef = exitInfo.exitDef;
+        var description = exitDef.description || exitDef.friendlyName || ('The `'+exitInfo.exitCodeName+'` exit.');
+        if (exitDef.extendedDescription) {
+          description += '  '+exitDef.extendedDescription;
+        }
+        descriptions.push(exitInfos.length > 1 ? '`'+exitInfo.exitCodeName+'`: '+description : description);
+
+        // Document any headers from the exit's `responseHeaders` directive.
+        _.each(exitDef.responseHeaders, function(headerValue, headerName) {
+          headers[headerName] = { schema: { type: 'string' } };
+          if (!_.isFunction(headerValue)) {
+            headers[headerName].schema.example = String(headerValue);
+          }
+        });//∞
+
+        // If the `problemDetails` option is enabled, then the error exit, and any other exit w/ an
+        // error status code (except for those using content negotiation), send a Problem Details document.
+        var sendsProblemDetails = actionOptions.problemDetails && (
+          exitDef.responseType === 'error' ||
+          (exitDef.responseType === '' && exitDef.statusCode >= 400 && !exitDef.representations)
+        );
+        if (sendsProblemDetails) {
+          schemasByMediaType['application/problem+json'] = _.union(schemasByMediaType['application/problem+json'] || [], [PROBLEM_DETAILS_SCHEMA]);
+          return;
+        }//-•
+
+        var mediaType;
+        var schema;
+        switch (exitDef.responseType) {
+          case '':
+            // If the output example can only be determined at runtime (e.g. `getExample`),
+            // then the best we can do is say that it's JSON.
+            var outputExample;
+            try {
+              outputExample = getOutputExample({ exitDef: exitDef, exitCodeName: exitInfo.exitCodeName, inputs: def.inputs });
+            } catch (e) {
+              switch (e.code) {
+                case 'E_OUTPUT_EXAMPLE_REQUIRES_ARGINS': outputExample = '*'; break;
+                default: throw e;
+              }
+            }
+            var typeSchema = _.isUndefined(outputExample) ? undefined : rttc.infer(outputExample);
+
+            // If this exit uses content negotiation, document each of its representations.
+            if (exitDef.representations) {
+              _.each(exitDef.representations, function(representation, representationMediaType) {
+                var representationSchema;
+                if (representationMediaType === 'application/json' && !representation.viewTemplatePath && !representation.serialize) {
+                  representationSchema = _.isUndefined(typeSchema) ? {} : buildJsonSchema(typeSchema);
+                }
+                else {
+                  representationSchema = { type: 'string' };
+                }
+                if (exitDef.outputDescription) {
+                  representationSchema.description = exitDef.outputDescription;
+                }
+                schemasByMediaType[representationMediaType] = schemasByMediaType[representationMediaType] || [];
+                schemasByMediaType[representationMediaType].push(representationSchema);
+              });//∞
+              break;
+            }//-•
+
+            if (_.isUndefined(typeSchema)) { break; }
+
+            if (typeSchema === 'ref') {
+              mediaType = 'application/octet-stream';
+              schema = { type: 'string', format: 'binary' };
+            }
+            // (Exits that explicitly send items as newline-delimited JSON are documented as such.)
+            else if (exitDef.streamFormat === 'ndjson' && _.isArray(typeSchema) && typeSchema.length > 0) {
+              mediaType = 'application/x-ndjson';
+              schema = buildJsonSchema(typeSchema[0]);
+            }
+            else if (typeSchema === 'string') {
+              mediaType = 'text/html';
+              schema = { type: 'string' };
+            }
+            else {
+              mediaType = 'application/json';
+              schema = buildJsonSchema(typeSchema);
+            }
+            if (exitDef.outputDescription) {
+              schema.description = exitDef.outputDescription;
+            }
+            break;
+          case 'view':
+            mediaType = 'text/html';
+            schema = { type: 'string' };
+            break;
+          case 'sse':
+            mediaType = 'text/event-stream';
+            schema = { type: 'string' };
+            break;
+          case 'redirect':
+            headers.Location = { description: 'The URL to redirect to.', schema: { type: 'string' } };
+            break;
+        }
+
+        if (mediaType) {
+          schemasByMediaType[mediaType] = schemasByMediaType[mediaType] || [];
+          schemasByMediaType[mediaType].push(schema);
+        }
+
+      });//∞
+
+      // Unless disabled, every response from an exit includes the `X-Exit` header.
+      var exitCodeNames = _.pluck(_.filter(exitInfos, 'exitCodeName'), 'exitCodeName');
+      if (!actionOptions.disableXExitHeader && exitCodeNames.length > 0) {
+        headers['X-Exit'] = { description: 'The code name of the exit that was triggered.', schema: { type: 'string', enum: exitCodeNames } };
+      }
+
+      var response = { description: descriptions.join('\n') };
+      if (_.keys(headers).length > 0) {
+        response.headers = headers;
+      }
+      if (_.keys(schemasByMediaType).length > 0) {
+        response.content = _.reduce(schemasByMediaType, function(contentMemo, schemas, mediaType) {
+          contentMemo[mediaType] = { schema: _.cloneDeep(schemas.length === 1 ? schemas[0] : { oneOf: schemas }) };
+          return contentMemo;
+        }, {});
+      }
+
+      memo[statusCode] = response;
+      return memo;
+    }, {});
+
+
+    //  ┌─┐┌─┐┌─┐┬─┐┌─┐┌┬┐┬┌─┐┌┐┌
+    //  │ │├─┘├┤ ├┬┘├─┤ │ ││ ││││
+    //  └─┘┴  └─┘┴└─┴ ┴ ┴ ┴└─┘┘└┘
+    // Make sure operation ids are unique, even if the same action is bound to more than one route.
+    var operationId = def.identity;
+    for (var i = 2; _.contains(usedOperationIds, operationId); i++) {
+      operationId = def.identity+'-'+i;
+    }
+    usedOperationIds.push(operationId);
+
+    var operation = { operationId: operationId };
+    if (def.friendlyName) {
+      operation.summary = def.friendlyName;
+    }
+    var operationDescription = _.compact([def.description, def.extendedDescription]).join('\n\n');
+    if (operationDescription) {
+      operation.description = operationDescription;
+    }
+    if (def.moreInfoUrl) {
+      operation.externalDocs = { url: def.moreInfoUrl };
+    }
+    if (parameters.length > 0) {
+      operation.parameters = parameters;
+    }
+    if (requestBody) {
+      operation.requestBody = requestBody;
+    }
+    operation.responses = responses;
+
+    doc.paths[pathTemplate] = doc.paths[pathTemplate] || {};
+    doc.paths[pathTemplate][method] = operation;
+
+  });//∞
+
+  return doc;
+
+};
@@ -0,0 +1,68 @@
+/**
+ * Module dependencies
+ */
+
+var http = require('http');
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * buildProblemDetails()
+ *
+ * Build an RFC 7807 "Problem Details" document (i.e. the body of an `application/problem+json` response).
+ * (See https://tools.ietf.org/html/rfc7807)
+ *
+ * @param  {Dictionary} opts
+ *         @property {Number} status
+ *                   The HTTP status code.
+ *         @property {String?} type
+ *                   A URL identifying the problem type.  (Defaults to "about:blank".)
+ *         @property {String?} title
+ *                   A short, human-readable summary of the problem type.  (Defaults to the
+ *                   standard phrase for the status code, e.g. "Not Found".)
+ *         @property {String?} detail
+ *                   A human-readable explanation specific to this occurrence of the problem.
+ *         @property {String?} instance
+ *                   A URL identifying this occurrence of the problem (e.g. the request URL).
+ *         @property {Array?} problems
+ *                   Validation problems to include as `invalid-params`, each a dictionary w/ the
+ *                   `name` of the input it is about (if known) and the `reason` (i.e. the message).
+ *                   (These come from the per-input problems built by `buildInputProblems()`, so that
+ *                   they always agree w/ the `inputProblems` in the default error response.)
+ *         @property {Dictionary?} extensions
+ *                   Any additional members to include (w/o overriding the standard ones).
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ */
+module.exports = function buildProblemDetails(opts) {
+
+  var problemDetails = {
+    type: opts.type || 'about:blank',
+    title: opts.title || http.STATUS_CODES[opts.status] || 'Error',
+    status: opts.status
+  };
+
+  if (_.isString(opts.detail) && opts.detail !== '') {
+    problemDetails.detail = opts.detail;
+  }
+
+  if (_.isString(opts.instance) && opts.instance !== '') {
+    problemDetails.instance = opts.instance;
+  }
+
+  if (_.isArray(opts.problems)) {
+    problemDetails['invalid-params'] = _.map(opts.problems, function(problem) {
+      return _.omit(_.pick(problem, ['name', 'reason']), _.isUndefined);
+    });
+  }
+
+  _.each(opts.extensions, function(value, key) {
+    if (!_.has(problemDetails, key)) {
+      problemDetails[key] = value;
+    }
+  });
+
+  return problemDetails;
+
+};
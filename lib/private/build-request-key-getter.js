@@ -0,0 +1,71 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+var rttc = require('rttc');
+var getArginsFingerprint = require('./get-argins-fingerprint');
+
+
+/**
+ * buildRequestKeyGetter()
+ *
+ * Validate a `varyBy` setting (e.g. from the `cache` option), and build a function that computes
+ * a key for each request from its (normalized) argins and the values listed in `varyBy`.  Requests
+ * w/ the same key can be expected to get the same response.
+ *
+ * @param  {Array?} varyBy
+ *         Other things (besides the argins) that the response depends on.  Each is one of:
+ *         • 'header:<name>'-- the value of a request header (e.g. 'header:accept-language')
+ *         • 'session:<key>'-- the value of a key in the session (e.g. 'session:userId')
+ *
+ * @param  {String} optionName  [the name of the option `varyBy` is from, for error messages]
+ * @param  {Dictionary} inputs  [normalized input definitions]
+ * @param  {Array?} files       [the `files` option]
+ *
+ * @returns {Function}
+ *          @param {Request} req
+ *          @param {Dictionary} argins
+ *          @returns {String}
+ *
+ * @throws {Error} If `varyBy` is invalid
+ */
+module.exports = function buildRequestKeyGetter(varyBy, optionName, inputs, files) {
+
+  varyBy = _.isUndefined(varyBy) ? [] : varyBy;
+  if (!_.isArray(varyBy) || !_.all(varyBy, function(item) { return _.isString(item) && item.match(/^(header|session):./); })) {
+    throw new Error('If specified, the `varyBy` of `'+optionName+'` should be an array of \'header:<name>\' and/or \'session:<key>\' strings (e.g. `[\'header:accept-language\']`).  But instead, got: '+util.inspect(varyBy,{depth:null}));
+  }
+
+  return function getRequestKey(req, argins) {
+
+    // Argins are coerced to their inputs' types first, so that e.g. `?page=2` and `?page=2.0`
+    // get the same key.  (Invalid argins are left alone-- they never make it to the machine
+    // anyway.)
+    var normalizedArgins = _.mapValues(argins, function(argin, inputCodeName) {
+      if (_.isUndefined(argin) || !inputs[inputCodeName] || _.isUndefined(inputs[inputCodeName].type)) {
+        return argin;
+      }
+      try {
+        return rttc.validate(inputs[inputCodeName].type, argin);
+      } catch (e) {
+        return argin;
+      }
+    });
+
+    var variedValues = _.map(varyBy, function(item) {
+      var value;
+      if (item.match(/^header:/)) {
+        value = req.get(item.replace(/^header:/, ''));
+      }
+      else {
+        value = _.isObject(req.session) ? req.session[item.replace(/^session:/, '')] : undefined;
+      }
+      return _.isUndefined(value) ? null : value;
+    });
+
+    return getArginsFingerprint(normalizedArgins, files)+':'+getArginsFingerprint({ varyBy: variedValues });
+  };//ƒ
+
+};
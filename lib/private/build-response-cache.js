@@ -0,0 +1,126 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * How often (at most) to clean up expired entries.
+ * @type {Number}
+ */
+var SWEEP_INTERVAL_MS = 60*1000;
+
+
+/**
+ * buildResponseCache()
+ *
+ * Build the in-memory cache for actions that use the `cache` option.  Each action gets its own
+ * store of cached responses (see `register()`), so that actions can never serve each other's
+ * responses-- even if they have the same identity (e.g. 'anonymous-action').  The identity is
+ * only used for invalidation, e.g. after the underlying data changes.
+ * (Exposed as `machineAsAction.cache`.)
+ *
+ * Cached output is deep-cloned on the way in and on the way out, so that nothing can change it
+ * after the fact.
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ *          @property {Function} register
+ *                    Build a store of cached responses for an action.  (Used by machine-as-action
+ *                    when building each action that uses the `cache` option.)
+ *                    @param {String} identity
+ *                    @returns {Dictionary}
+ *                             @property {Function} get
+ *                                       Look up a cached response.
+ *                                       @param {String} key
+ *                                       @returns {Dictionary?}   [w/ `exitCodeName` and `output`]
+ *                             @property {Function} set
+ *                                       Cache a response.
+ *                                       @param {String} key
+ *                                       @param {Dictionary} entry   [w/ `exitCodeName` and `output`]
+ *                                       @param {Number} ttl
+ *          @property {Function} invalidate
+ *                    Forget all of the cached responses for every action w/ this identity.
+ *                    @param {String} identity
+ *          @property {Function} clear
+ *                    Forget all of the cached responses for every action.
+ */
+module.exports = function buildResponseCache() {
+
+  var actionCachesByIdentity = {};
+
+  return {
+
+    register: function(identity) {
+
+      var entries = {};
+      var nextSweepAt = 0;
+
+      var actionCache = {
+
+        get: function(key) {
+          if (!entries[key]) { return undefined; }
+          if (entries[key].expiresAt <= Date.now()) {
+            delete entries[key];
+            return undefined;
+          }
+          return {
+            exitCodeName: entries[key].exitCodeName,
+            output: _.cloneDeep(entries[key].output)
+          };
+        },
+
+        set: function(key, entry, ttl) {
+          var now = Date.now();
+
+          // Expired entries are cleaned up once in a while (rather than on a timer), so that they
+          // don't pile up for argins which are never seen again.
+          if (now >= nextSweepAt) {
+            _.each(_.keys(entries), function(someKey) {
+              if (entries[someKey].expiresAt <= now) {
+                delete entries[someKey];
+              }
+            });//∞
+            nextSweepAt = now + SWEEP_INTERVAL_MS;
+          }//>-
+
+          entries[key] = {
+            exitCodeName: entry.exitCodeName,
+            output: _.cloneDeep(entry.output),
+            expiresAt: now + ttl
+          };
+        },
+
+        clear: function() {
+          entries = {};
+        }
+
+      };
+
+      actionCachesByIdentity[identity] = actionCachesByIdentity[identity] || [];
+      actionCachesByIdentity[identity].push(actionCache);
+      return actionCache;
+    },
+
+    invalidate: function(identity) {
+      if (!_.isString(identity) || identity === '') {
+        throw new Error('To invalidate cached responses, provide the identity of the action (e.g. \'list-products\').  But instead, got: '+util.inspect(identity,{depth:null}));
+      }
+      _.each(actionCachesByIdentity[identity], function(actionCache) {
+        actionCache.clear();
+      });//∞
+    },
+
+    clear: function() {
+      _.each(actionCachesByIdentity, function(actionCaches) {
+        _.each(actionCaches, function(actionCache) {
+          actionCache.clear();
+        });//∞
+      });//∞
+    }
+
+  };
+
+};
@@ -0,0 +1,68 @@
+/**
+ * Module dependencies
+ */
+
+var crypto = require('crypto');
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * buildTraceContext()
+ *
+ * Build the W3C trace context (https://www.w3.org/TR/trace-context/) for an action run, continuing
+ * the trace from the incoming `traceparent` and `tracestate` headers if they're valid (or starting
+ * a new trace otherwise).
+ *
+ * @param  {String?} traceparentHeader   [e.g. "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"]
+ * @param  {String?} tracestateHeader    [e.g. "congo=t61rcWkgMzE"]
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ *          @property {String} traceId          [32 lowercase hex characters]
+ *          @property {String} spanId           [16 lowercase hex characters-- the new span for this action run]
+ *          @property {String?} parentSpanId    [the span id from the incoming `traceparent`, if any]
+ *          @property {String} traceFlags       [2 lowercase hex characters-- e.g. "01" (sampled)]
+ *          @property {String} traceparent      [the `traceparent` header to send w/ the response, or
+ *                                               w/ outbound requests made by this action run]
+ *          @property {String?} tracestate      [the `tracestate` header to pass along, if any]
+ */
+module.exports = function buildTraceContext(traceparentHeader, tracestateHeader) {
+
+  var traceId;
+  var parentSpanId;
+  var traceFlags = '01';
+  var tracestate;
+
+  var matches = _.isString(traceparentHeader) ? traceparentHeader.trim().match(/^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/) : null;
+  var isValid = !!matches && (
+    matches[1] !== 'ff' &&
+    // (Version 00 doesn't allow anything extra on the end.)
+    !(matches[1] === '00' && matches[5]) &&
+    !matches[2].match(/^0+$/) &&
+    !matches[3].match(/^0+$/)
+  );
+  if (isValid) {
+    traceId = matches[2];
+    parentSpanId = matches[3];
+    traceFlags = matches[4];
+    // The `tracestate` is only meaningful w/ a valid `traceparent`.
+    if (_.isString(tracestateHeader) && tracestateHeader.trim() !== '') {
+      tracestate = tracestateHeader.trim();
+    }
+  }
+  else {
+    traceId = crypto.randomBytes(16).toString('hex');
+  }
+
+  var spanId = crypto.randomBytes(8).toString('hex');
+
+  return {
+    traceId: traceId,
+    spanId: spanId,
+    parentSpanId: parentSpanId,
+    traceFlags: traceFlags,
+    traceparent: '00-'+traceId+'-'+spanId+'-'+traceFlags,
+    tracestate: tracestate
+  };
+
+};
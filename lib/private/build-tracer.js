@@ -0,0 +1,100 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+var buildMemorySpanExporter = require('./span-exporters/memory');
+var buildJsonLinesSpanExporter = require('./span-exporters/json-lines');
+
+
+/**
+ * buildTracer()
+ *
+ * Build a tracer that (once enabled) creates a span for every action run, and sends it to a
+ * span exporter once the response has been sent.  (Exposed as `machineAsAction.tracing`.)
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ *          @property {Function} enable
+ *                    Start tracing.
+ *                    @param {Dictionary} opts
+ *                           @property {Dictionary} exporter   [see `./span-exporters/memory.js`]
+ *          @property {Function} disable
+ *                    Stop tracing.
+ *          @property {Function} isEnabled
+ *                    @returns {Boolean}
+ *          @property {Function} startSpan
+ *                    Start a span.  (Used by machine-as-action for each action run.)
+ *                    @param {Dictionary} opts
+ *                           @property {String} name
+ *                           @property {Dictionary} traceContext   [see `./build-trace-context.js`]
+ *                           @property {Dictionary?} attributes
+ *                    @returns {Dictionary}
+ *                             @property {Function} setAttributes
+ *                             @property {Function} end
+ *                                       @param {String} status   ['ok' or 'error']
+ *          @property {Dictionary} exporters
+ *                    The built-in span exporters:  `memory()` and `jsonLines({ path })`.
+ */
+module.exports = function buildTracer() {
+
+  var exporter;
+
+  return {
+
+    exporters: {
+      memory: buildMemorySpanExporter,
+      jsonLines: buildJsonLinesSpanExporter
+    },
+
+    enable: function(opts) {
+      if (!_.isObject(opts) || !_.isObject(opts.exporter) || !_.isFunction(opts.exporter.export)) {
+        throw new Error('To enable tracing, provide an `exporter` (a dictionary with an `export` function-- e.g. `machineAsAction.tracing.exporters.memory()`).  But instead, got: '+util.inspect(opts,{depth:null}));
+      }
+      exporter = opts.exporter;
+    },
+
+    disable: function() {
+      exporter = undefined;
+    },
+
+    isEnabled: function() {
+      return !!exporter;
+    },
+
+    startSpan: function(opts) {
+      var spanExporter = exporter;
+      var span = {
+        traceId: opts.traceContext.traceId,
+        spanId: opts.traceContext.spanId,
+        parentSpanId: opts.traceContext.parentSpanId,
+        name: opts.name,
+        kind: 'server',
+        startTime: Date.now(),
+        endTime: undefined,
+        attributes: _.extend({}, opts.attributes),
+        status: undefined
+      };
+      var hasEnded = false;
+      return {
+        setAttributes: function(attributes) {
+          _.extend(span.attributes, attributes);
+        },
+        end: function(status) {
+          if (hasEnded || !spanExporter) { return; }
+          hasEnded = true;
+          span.endTime = Date.now();
+          span.status = status;
+          try {
+            spanExporter.export(span);
+          } catch (e) {
+            console.error('The span exporter threw an error.  Proceeding anyway...  Error details:', e);
+          }
+        }
+      };
+    }
+
+  };
+
+};
@@ -0,0 +1,82 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * buildTranslator()
+ *
+ * Pick the best message catalogue for a request, and build a function for looking up messages in it.
+ *
+ * The locale is determined by `req.getLocale()`, if it exists (i.e. Sails i18n), or by the
+ * `Accept-Language` header otherwise.  If neither matches one of the catalogues (exactly, or by
+ * its primary subtag-- e.g. `fr-CA` => `fr`), then English is used.
+ *
+ * @param  {Request} req
+ * @param  {Dictionary} catalogues   [as built by `normalizeLocales()`]
+ *
+ * @returns {Function}
+ *          @param {String} messageName
+ *          @param {Dictionary?} data
+ *          @returns {String?}  [undefined if there is no such message in the catalogue]
+ *          ---
+ *          @property {String} locale  [the locale that was picked]
+ */
+module.exports = function buildTranslator(req, catalogues) {
+
+  var _match = function(tag) {
+    if (!_.isString(tag) || tag === '') { return undefined; }
+    tag = tag.toLowerCase().replace(/_/g, '-');
+    if (catalogues[tag]) { return tag; }
+    var primarySubtag = tag.split('-')[0];
+    if (catalogues[primarySubtag]) { return primarySubtag; }
+    return undefined;
+  };//ƒ
+
+  var locale;
+  if (req && _.isFunction(req.getLocale)) {
+    locale = _match(req.getLocale());
+  }
+  else if (req && _.isFunction(req.get)) {
+    var acceptLanguageHeader = req.get('accept-language');
+    if (_.isString(acceptLanguageHeader)) {
+      var ranges = _.reduce(acceptLanguageHeader.split(','), function(memo, range) {
+        var parts = range.trim().split(';');
+        var q = 1;
+        _.each(parts.slice(1), function(param) {
+          var match = param.trim().match(/^q=([0-9.]+)$/);
+          if (match) { q = Number(match[1]); }
+        });
+        if (parts[0] !== '' && q > 0) {
+          memo.push({ tag: parts[0].trim(), q: q, i: memo.length });
+        }
+        return memo;
+      }, []);
+      // Sort by quality (keeping the original order for ties).
+      ranges.sort(function(a, b) { return (b.q - a.q) || (a.i - b.i); });
+      _.any(ranges, function(range) {
+        locale = _match(range.tag);
+        return !!locale;
+      });
+    }
+  }//>-
+  locale = locale || 'en';
+
+  var t = function(messageName, data) {
+    var message = catalogues[locale][messageName];
+    if (_.isFunction(message)) {
+      return message(data || {});
+    }
+    else if (_.isString(message)) {
+      return message.replace(/\{(\w+)\}/g, function(placeholder, key) {
+        return (data && !_.isUndefined(data[key])) ? String(data[key]) : placeholder;
+      });
+    }
+    return undefined;
+  };//ƒ
+  t.locale = locale;
+  return t;
+
+};
@@ -0,0 +1,85 @@
+/**
+ * Module dependencies
+ */
+
+var crypto = require('crypto');
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * checkConditionalGet()
+ *
+ * Set the `ETag` and/or `Last-Modified` response headers for a response body that is about
+ * to be sent, then determine whether the requesting user agent's cached copy (according to
+ * its `If-None-Match` and/or `If-Modified-Since` headers) is still fresh.
+ *
+ * @param  {Request} req
+ * @param  {Response} res
+ * @param  {Dictionary} opts
+ *         @property {Boolean?} etag
+ *                   If set, compute a strong ETag from `body`.
+ *         @property {String} body
+ *                   The serialized response body that is about to be sent.
+ *         @property {String?} mediaType
+ *                   If the body is one of several representations (see content negotiation),
+ *                   its media type.  This is included in the ETag, so that each representation
+ *                   gets its own.
+ *         @property {~Date?} lastModified
+ *                   The last modified date for the response (e.g. a JS timestamp, or an
+ *                   ISO 8601 date string).  If invalid or omitted, it is ignored.
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Boolean}
+ *          `true` if the user agent's cached copy is fresh (i.e. the caller should respond
+ *          with a 304 instead of sending the body), `false` otherwise.
+ */
+module.exports = function checkConditionalGet(req, res, opts) {
+
+  var etag;
+  if (opts.etag) {
+    var hash = crypto.createHash('sha1');
+    if (opts.mediaType) {
+      hash.update(opts.mediaType+'\n', 'utf8');
+    }
+    hash.update(opts.body, 'utf8');
+    etag = '"'+hash.digest('base64').replace(/=+$/, '')+'"';
+    res.set('ETag', etag);
+  }//>-
+
+  var lastModified;
+  if (!_.isUndefined(opts.lastModified) && !_.isNull(opts.lastModified)) {
+    lastModified = new Date(opts.lastModified);
+    if (_.isNaN(lastModified.getTime())) {
+      lastModified = undefined;
+    }
+    else {
+      res.set('Last-Modified', lastModified.toUTCString());
+    }
+  }//>-
+
+  // Note that `If-None-Match` takes precedence over `If-Modified-Since`.
+  // (see https://tools.ietf.org/html/rfc7232#section-6)
+  var ifNoneMatch = req.get('if-none-match');
+  if (ifNoneMatch) {
+    if (!etag) {
+      return false;
+    }//-•
+    return _.some(ifNoneMatch.split(','), function(candidate) {
+      candidate = candidate.trim();
+      return candidate === '*' || candidate.replace(/^W\//, '') === etag;
+    });
+  }//-•
+
+  var ifModifiedSince = req.get('if-modified-since');
+  if (ifModifiedSince && lastModified) {
+    var ifModifiedSinceMs = Date.parse(ifModifiedSince);
+    if (_.isNaN(ifModifiedSinceMs)) {
+      return false;
+    }//-•
+    // (HTTP dates only have one-second precision.)
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSinceMs / 1000);
+  }//-•
+
+  return false;
+
+};
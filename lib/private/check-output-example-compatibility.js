@@ -0,0 +1,76 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+var flaverr = require('flaverr');
+
+
+/**
+ * Ensure that the provided output example is compatible with the exit's response type
+ * and representations.  (e.g. a redirect needs a string, and a view needs a dictionary to
+ * use as view locals.)
+ *
+ * This is normally checked once, when the action is built.  But if an exit's output example
+ * can only be determined at runtime (i.e. `getExample`, or `like`/`itemOf` referring to an
+ * exemplar input), then it is checked each time that exit is triggered instead.
+ *
+ * @param  {Dictionary} exitDef        [normalized exit definition, with a `responseType`]
+ * @param  {String} exitCodeName
+ * @param  {~Exemplar} outputExample   [the output example for this exit, if any]
+ *
+ * @throws {Error} If the output example is not compatible with the response type
+ *         @property {String} code  (===E_INVALID_RES_METADATA_IN_EXIT_DEF)
+ */
+module.exports = function checkOutputExampleCompatibility(exitDef, exitCodeName, outputExample) {
+
+  if (exitDef.responseType === 'redirect') {
+    // Note that we tolerate the absense of an outputExample, since a redirect is assumed to always be a string.
+    if (!_.isUndefined(outputExample) && !_.isString(outputExample)) {
+      throw flaverr(
+        'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+        new Error(util.format('Cannot configure exit "%s" to redirect.  The redirect URL is based on the return value from the exit, so the exit\'s `outputExample` must be a string.  But instead, it is: ', exitCodeName, util.inspect(outputExample, false, null)))
+      );
+    } //-•
+  } else if (exitDef.responseType === 'view') {
+    // Note that we tolerate `===` so that it can be used for performance reasons.
+    // If no output example is provided, we treat it like `===`.
+    if (!_.isUndefined(outputExample) && outputExample !== '===' && !_.isPlainObject(outputExample)) {
+      throw flaverr(
+        'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+        new Error(util.format('Cannot configure exit "%s" to show a view.  The return value from the exit is used as view locals (variables accessible inside the view HTML), so the exit\'s `outputExample` must be some sort of dictionary (`{}`).  But instead, it\'s: ', exitCodeName, util.inspect(outputExample, false, null)))
+      );
+    }
+  } else if (exitDef.responseType === 'sse') {
+    // Each item is sent as an event, so the output example (if any) should be an array (w/ an
+    // example of an item).  We tolerate `===` too.
+    if (!_.isUndefined(outputExample) && outputExample !== '===' && !_.isArray(outputExample)) {
+      throw flaverr(
+        'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+        new Error(util.format('Cannot configure exit "%s" to send Server-Sent Events.  Each item from the return value from the exit (an async iterable or an event emitter) is sent as an event, so the exit\'s `outputExample` must be an array (e.g. `[{ temperature: 72 }]`).  But instead, it\'s: ', exitCodeName, util.inspect(outputExample, false, null)))
+      );
+    }
+  } else if (exitDef.responseType === 'json') {
+    // ** NOTE THAT THE `json` RESPONSE TYPE IS DEPRECATED **
+    if (!_.isUndefined(outputExample) && _.isUndefined(outputExample)) {
+      throw flaverr(
+        'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+        new Error(util.format('Cannot configure exit "%s" to respond with JSON.  The return value from the exit will be encoded as JSON, so something must be returned...but the exit\'s `outputExample` is undefined.', exitCodeName))
+      );
+    }
+  } //>-•
+
+  // If any of the exit's representations (for content negotiation) render a view, then
+  // the output will be used as view locals there too.
+  var viewRepresentationMediaType = _.findKey(exitDef.representations, function(representation) {
+    return !_.isUndefined(representation.viewTemplatePath);
+  });
+  if (viewRepresentationMediaType && !_.isUndefined(outputExample) && outputExample !== '===' && !_.isPlainObject(outputExample)) {
+    throw flaverr(
+      'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+      new Error(util.format('Cannot configure exit "%s" to show a view for its "%s" representation.  The return value from the exit is used as view locals (variables accessible inside the view HTML), so the exit\'s `outputExample` must be some sort of dictionary (`{}`).  But instead, it\'s: ', exitCodeName, viewRepresentationMediaType, util.inspect(outputExample, false, null)))
+    );
+  }//-•
+
+};
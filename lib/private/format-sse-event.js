@@ -0,0 +1,49 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * formatSseEvent()
+ *
+ * Format an event for a Server-Sent Events (`text/event-stream`) response.
+ *
+ * @param  {Dictionary} event
+ *         @property {JSON} data
+ *                   The data to send.  Strings are sent as-is, and anything else is JSON-stringified.
+ *         @property {String?} event   [the event name-- i.e. what the listener is attached to]
+ *         @property {String|Number?} id   [sent back by the user agent as `Last-Event-ID` on reconnect]
+ *         @property {Number?} retry   [how long the user agent should wait before reconnecting, in ms]
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {String}
+ */
+module.exports = function formatSseEvent(event) {
+
+  // Field values can't contain line breaks (apart from `data`, which is split into several
+  // `data:` lines), so strip them out to keep them from being mistaken for other fields.
+  var _sanitize = function(value) {
+    return String(value).replace(/[\r\n]/g, '');
+  };//ƒ
+
+  var lines = [];
+  if (!_.isUndefined(event.event) && !_.isNull(event.event)) {
+    lines.push('event: '+_sanitize(event.event));
+  }
+  if (!_.isUndefined(event.id) && !_.isNull(event.id)) {
+    lines.push('id: '+_sanitize(event.id));
+  }
+  if (_.isNumber(event.retry) && event.retry >= 0) {
+    lines.push('retry: '+Math.floor(event.retry));
+  }
+
+  var data = _.isString(event.data) ? event.data : JSON.stringify(_.isUndefined(event.data) ? null : event.data);
+  _.each(data.split(/\r\n|\r|\n/), function(line) {
+    lines.push('data: '+line);
+  });//∞
+
+  return lines.join('\n')+'\n\n';
+
+};
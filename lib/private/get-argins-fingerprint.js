@@ -0,0 +1,45 @@
+/**
+ * Module dependencies
+ */
+
+var crypto = require('crypto');
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * getArginsFingerprint()
+ *
+ * Compute a fingerprint of the argins an action received (e.g. to tell whether a retried request
+ * has the same parameters as the original).  Dictionary keys are sorted, so their order doesn't
+ * matter.  File upload inputs are left out.
+ *
+ * @param  {Dictionary} argins
+ * @param  {Array?} files   [the `files` option-- i.e. the code names of file upload inputs]
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {String}   [a SHA-256 hash, in hex]
+ */
+module.exports = function getArginsFingerprint(argins, files) {
+
+  var _stringifyStably = function(value) {
+    if (_.isArray(value)) {
+      return '['+_.map(value, _stringifyStably).join(',')+']';
+    }
+    else if (_.isObject(value) && !_.isFunction(value) && !_.isDate(value) && !_.isFunction(value.toJSON)) {
+      return '{'+_.map(_.keys(value).sort(), function(key) {
+        return JSON.stringify(key)+':'+_stringifyStably(value[key]);
+      }).join(',')+'}';
+    }
+    else if (_.isUndefined(value) || _.isFunction(value)) {
+      return 'null';
+    }
+    return JSON.stringify(value);
+  };//ƒ
+
+  var relevantArgins = _.omit(argins, function(argin, inputCodeName) {
+    return _.isUndefined(argin) || _.contains(files || [], inputCodeName);
+  });
+
+  return crypto.createHash('sha256').update(_stringifyStably(relevantArgins)).digest('hex');
+
+};
@@ -2,8 +2,10 @@
  * Module dependencies
  */
 
+var util = require('util');
 var _ = require('@sailshq/lodash');
 var rttc = require('rttc');
+var flaverr = require('flaverr');
 
 
 /**
@@ -25,9 +27,24 @@ var rttc = require('rttc');
  *            {Dictionary} exitDef
  *            The exit definition from a compact node machine.
  *
+ * @optional
+ *            {Dictionary} inputs
+ *            The input definitions from the machine.  (If `machineDef` is provided, its
+ *            inputs are used by default.)  These are needed to resolve `like` and `itemOf`.
+ *
+ *            {Dictionary} argins
+ *            The runtime argins.  These are needed to resolve `getExample`, as well as
+ *            `like`/`itemOf` when they refer to an input with `isExemplar: true`.
+ *
+ *            {Dictionary} env
+ *            The runtime `env` (passed through to `getExample`).
+ *
  * ------------------------------------------------------------------------------------------
  * @returns {~Exemplar}
  *         The supposed RTTC exemplar representing the output example for this exit.
+ *
+ * @throws {Error} If the output example can only be determined at runtime, but no `argins` were provided
+ *         @property {String} code  (===E_OUTPUT_EXAMPLE_REQUIRES_ARGINS)
  */
 module.exports = function getOutputExample(options) {
   if (!_.isObject(options)) {
@@ -59,12 +76,45 @@ module.exports = function getOutputExample(options) {
     return undefined;
   } else if (!_.isObject(exitDef)) {
     throw new Error('Consistency violation: The specified exit (`' + options.exitCodeName + '`) is not a valid exit definition (should be a dictionary).');
-  } else if (!_.isUndefined(exitDef.like)) {
-    throw new Error('Consistency violation: The specified exit (`' + options.exitCodeName + '`) cannot be used in machine-as-action (`like`, `itemOf`, and `getExample` are not currently supported).');
-  } else if (!_.isUndefined(exitDef.itemOf)) {
-    throw new Error('Consistency violation: The specified exit (`' + options.exitCodeName + '`) cannot be used in machine-as-action (`like`, `itemOf`, and `getExample` are not currently supported).');
+  } else if (!_.isUndefined(exitDef.like) || !_.isUndefined(exitDef.itemOf)) {
+    // `like` and `itemOf` refer to an input by code name.  Usually, that input's example can be
+    // looked up statically-- but if it's an exemplar input (`isExemplar: true`), then the exemplar
+    // is whatever was actually passed in at runtime.
+    var inputs = options.inputs || (options.machineDef && options.machineDef.inputs) || {};
+    var referencedInputCodeName = _.isUndefined(exitDef.like) ? exitDef.itemOf : exitDef.like;
+    var referencedInputDef = inputs[referencedInputCodeName];
+    if (!_.isObject(referencedInputDef)) {
+      throw new Error('Consistency violation: The specified exit (`' + options.exitCodeName + '`) refers to an input that does not exist (`' + referencedInputCodeName + '`).');
+    }
+
+    var referencedExample;
+    if (referencedInputDef.isExemplar) {
+      if (_.isUndefined(options.argins)) {
+        throw flaverr('E_OUTPUT_EXAMPLE_REQUIRES_ARGINS', new Error('The output example for this exit can only be determined at runtime, since it refers to an exemplar input (`' + referencedInputCodeName + '`).'));
+      }
+      referencedExample = options.argins[referencedInputCodeName];
+      if (_.isUndefined(referencedExample)) {
+        return undefined;
+      }
+    } else if (!_.isUndefined(referencedInputDef.example)) {
+      referencedExample = referencedInputDef.example;
+    } else {
+      referencedExample = rttc.getDefaultExemplar(referencedInputDef.type);
+    }
+
+    if (_.isUndefined(exitDef.itemOf)) {
+      return referencedExample;
+    } else if (!_.isArray(referencedExample)) {
+      throw new Error('Consistency violation: The specified exit (`' + options.exitCodeName + '`) uses `itemOf`, but the referenced input (`' + referencedInputCodeName + '`) does not expect an array.  Instead, its example is: ' + util.inspect(referencedExample, {depth: null}));
+    } else {
+      return referencedExample.length > 0 ? referencedExample[0] : '*';
+    }
   } else if (!_.isUndefined(exitDef.getExample)) {
-    throw new Error('Consistency violation: The specified exit (`' + options.exitCodeName + '`) cannot be used in machine-as-action (`like`, `itemOf`, and `getExample` are not currently supported).');
+    // `getExample` is a function that computes the output example from the runtime argins.
+    if (_.isUndefined(options.argins)) {
+      throw flaverr('E_OUTPUT_EXAMPLE_REQUIRES_ARGINS', new Error('The output example for this exit can only be determined at runtime, since it is computed by `getExample`.'));
+    }
+    return exitDef.getExample(options.argins, options.env || {});
   } else if (!_.isUndefined(exitDef.outputExample)) {
     return exitDef.outputExample;
   } else if (!_.isUndefined(exitDef.outputType)) {
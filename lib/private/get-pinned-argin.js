@@ -0,0 +1,93 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * Human-readable descriptions of each source, for use in validation problems.
+ * @type {Dictionary}
+ */
+var SOURCE_LABELS = {
+  path: 'the URL path',
+  query: 'the querystring',
+  body: 'the request body',
+  header: 'a request header',
+  cookie: 'a cookie',
+  session: 'the session'
+};
+
+
+/**
+ * getPinnedArgin()
+ *
+ * Look up the argin for an input which declares exactly where it comes from (i.e. `in`),
+ * reading ONLY from that source.  Also check whether the corresponding parameter showed up
+ * anywhere else it could have been sent from the client (the URL path, the querystring, or
+ * the request body), and if so, build a validation problem explaining what happened.
+ *
+ * > Note that, for GET, HEAD, and DELETE requests, request body parameters are treated as if
+ * > they were sent in the querystring.  This is so that pinning works the same way for Sails
+ * > virtual requests (e.g. socket requests), which send all of their parameters in the body.
+ *
+ * @param  {Request} req
+ * @param  {String} inputCodeName
+ * @param  {Dictionary} inputDef      [normalized input definition, with `in` and `name`]
+ *
+ * @returns {Dictionary}
+ *          @property {Ref} argin       [the value from the pinned source (or `undefined` if it wasn't there)]
+ *          @property {String?} problem [a validation problem, if this parameter showed up in the wrong place]
+ */
+module.exports = function getPinnedArgin(req, inputCodeName, inputDef) {
+
+  var isBodiless = _.contains(['GET', 'HEAD', 'DELETE'], req.method);
+  var paramContainers = {
+    path: req.params || {},
+    query: isBodiless ? _.extend({}, req.body, req.query) : (req.query || {}),
+    body: isBodiless ? {} : (req.body || {})
+  };
+
+  // Read the argin from the pinned source.
+  var argin;
+  switch (inputDef.in) {
+    case 'path':
+    case 'query':
+    case 'body':
+      argin = paramContainers[inputDef.in][inputDef.name];
+      break;
+    case 'header':
+      argin = req.get(inputDef.name);
+      break;
+    case 'cookie':
+      argin = _.isObject(req.signedCookies) && !_.isUndefined(req.signedCookies[inputDef.name]) ? req.signedCookies[inputDef.name] : (req.cookies || {})[inputDef.name];
+      break;
+    case 'session':
+      argin = (req.session || {})[inputDef.name];
+      break;
+    default:
+      throw new Error('Consistency violation: Unrecognized input source (`'+inputDef.in+'`).  This should have been caught when building the action.');
+  }
+
+  // Then check whether the same parameter was sent from anywhere else.
+  // (For headers, cookies, and the session, this is the input's code name, since that's
+  // what it would be called if it were a conventional request parameter.)
+  var paramNames = _.uniq(_.contains(['path', 'query', 'body'], inputDef.in) ? [inputDef.name] : [inputCodeName, inputDef.name]);
+  var misplacedIn = _.filter(_.without(_.keys(paramContainers), inputDef.in), function(source) {
+    return _.any(paramNames, function(paramName) {
+      return !_.isUndefined(paramContainers[source][paramName]);
+    });
+  });
+
+  var problem;
+  if (misplacedIn.length > 0) {
+    problem = 'Invalid "' + inputCodeName + '":  Expected this to come from ' + SOURCE_LABELS[inputDef.in] + ', but it was (also) sent in ' +
+    _.map(misplacedIn, function(source) { return SOURCE_LABELS[source]; }).join(' and ') + '.';
+  }
+
+  return {
+    argin: argin,
+    problem: problem
+  };
+
+};
@@ -0,0 +1,36 @@
+/**
+ * Module dependencies
+ */
+
+var Stream = require('stream');
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * isItemSource()
+ *
+ * Determine whether an exit's output is a source of items to be sent one at a time (i.e. an
+ * object-mode readable stream, or an async iterable) rather than a value (or a stream of bytes).
+ *
+ * @param  {Ref} output
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Boolean}
+ */
+module.exports = function isItemSource(output) {
+
+  // Items are read using `Symbol.asyncIterator`, so without it (i.e. in Node < 10),
+  // nothing counts-- not even object-mode streams.
+  if (!_.isObject(output) || !global.Symbol || !global.Symbol.asyncIterator) {
+    return false;
+  }//-•
+
+  // Readable streams are async iterable too (in Node >= 10), so only object-mode streams count.
+  // Otherwise, they're sent as bytes.
+  if (output instanceof Stream) {
+    return !!(_.isFunction(output[global.Symbol.asyncIterator]) && (output.readableObjectMode || (output._readableState && output._readableState.objectMode)));
+  }//-•
+
+  return _.isFunction(output[global.Symbol.asyncIterator]);
+
+};
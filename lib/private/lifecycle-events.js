@@ -0,0 +1,36 @@
+/**
+ * Module dependencies
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+
+/**
+ * The global emitter for lifecycle events.  (Exposed as `machineAsAction.events`.)
+ *
+ * Every action built w/ machine-as-action emits these events as it handles each request.  Each
+ * event comes with a dictionary that always includes the action's `identity`, `req`, and `res`:
+ *
+ * • `request`        -- a request was received
+ *                       (+ `startedAt`-- a JS timestamp)
+ * • `argins`         -- the argins were built from the request
+ *                       (+ `argins`)
+ * • `start`          -- the machine was started  (i.e. after any guards)
+ * • `exit`           -- the machine called one of its exits
+ *                       (+ `exitCodeName`, `statusCode`, `duration`-- in milliseconds since the request
+ *                        was received, `output`, and `isValidationError`)
+ * • `response`       -- the response was sent
+ *                       (+ `exitCodeName`-- or `undefined` if it wasn't sent through an exit, `statusCode`,
+ *                        and `duration`)
+ * • `doubleExit`     -- the machine attempted to call an exit after it already called one (or timed out)
+ *                       (+ `exitCodeName`, `exitAttempts`, and `afterTimeout`)
+ * • `responseError`  -- an error occurred while responding
+ *                       (+ `exitCodeName`, `error`, and `message`)
+ *
+ * > Note that if anything is listening for `doubleExit` or `responseError`, the warning/error that
+ * > would otherwise be logged is left up to the listener.  (Except for listeners w/ an `isPassive`
+ * > property set to `true`-- e.g. the ones that record metrics.)
+ *
+ * @type {EventEmitter}
+ */
+module.exports = new EventEmitter();
@@ -0,0 +1,73 @@
+/**
+ * The default (English) message catalogue.
+ *
+ * Each message is either a string, in which `{placeholders}` are replaced with the corresponding
+ * data, or a function that receives the data and returns a string (e.g. for pluralization).
+ *
+ * Other bundles (i.e. the `locales` option) only need to include the messages they translate--
+ * anything missing falls back to the message here.
+ *
+ * > Note that the per-problem messages for missing/invalid parameters (`problemMissing`,
+ * > `problemWrongType`, `problemFailedCustomValidation`, and `problemMisplaced`) are purposely
+ * > left out of this bundle, since the validation problems reported by the machine runner are
+ * > already in English (and more detailed).  If another bundle includes them, they're used in
+ * > place of the machine runner's messages.  Data: `input`, `name`, `in`, `expected`.
+ */
+
+module.exports = {
+
+  // Data: `method`, `path`, `count`
+  invalidParams: function(data) {
+    return 'The server could not fulfill this request (`'+data.method+' '+data.path+'`) '+
+    'due to '+data.count+' missing or invalid '+
+    'parameter'+(data.count!==1?'s':'')+'.';
+  },
+
+  // (Not shown in production.)
+  invalidParamsTip:
+  '**The following additional tip will not be shown in production**:  '+
+  'Tip: Check your client-side code to make sure that the request data it '+
+  'sends matches the expectations of the corresponding parameters in your '+
+  'server-side route/action.  Also check that your client-side code sends '+
+  'data for every required parameter.  Finally, for programmatically-parseable '+
+  'details about each validation error, `.problems`. '+
+  '(Just remember, any time you inject dynamic data into the HTML, be sure to escape the strings at the point of injection.)',
+
+  // Data: `identity`
+  stubWarning:
+  'Using stub implementation for action (`{identity}`) because it has no `fn`!\n'+
+  'That means the output sent from this action will be completely fake!  To do this, using the `outputExample` '+
+  'from the success exit and using that as output.\n'+
+  '(This warning is being logged because you are in a production environment according to NODE_ENV)',
+
+  // Data: `method`, `path`, `exit`
+  errorExitWithoutOutput:
+  'Action (triggered by a `{method}` request to `{path}`) encountered an error, triggering its "{exit}" exit. '+
+  'No additional error data was provided.',
+
+  // Data: `message`
+  internalError: 'Internal error occurred while running this action:  {message}',
+
+  // Data: `message`
+  downloadError: 'Encountered error during file download:  {message}',
+
+  // Data: `method`, `path`, `exit`, `error`
+  errorAfterExit:
+  'Handled a `{method}` request to  `{path}`, by running an action, '+
+  'which called its `{exit}` exit.  But then an error occurred: {error}',
+
+  // Data: `retryAfter` (seconds)
+  rateLimited: function(data) {
+    return 'Too many requests.  Please try again in '+data.retryAfter+' second'+(data.retryAfter!==1?'s':'')+'.';
+  },
+
+  idempotencyKeyInFlight: 'A request with the same idempotency key is still being processed.  Please try again later.',
+
+  idempotencyKeyReused: 'This idempotency key was already used for a request with different parameters.',
+
+  // Data: `method`, `path`, `identity`, `timeout`
+  timeout:
+  'Handled a `{method}` request to `{path}` by running an action (`{identity}`), '+
+  'but it did not call any of its exits within {timeout}ms.'
+
+};
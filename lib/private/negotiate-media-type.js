@@ -0,0 +1,93 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * negotiateMediaType()
+ *
+ * Pick the most appropriate of the available media types for a request, based on
+ * the value of its `Accept` header (including q-values and wildcards like `text/*`).
+ *
+ * @param  {String?} acceptHeader
+ *         The raw value of the request's `Accept` header, if any.
+ *
+ * @param  {Array} availableMediaTypes
+ *         The media types that can be sent (e.g. `['text/html', 'application/json']`),
+ *         in order of preference.  These must be lowercased, and must not contain wildcards.
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {String?}
+ *         The chosen media type, or `undefined` if none of them are acceptable.
+ *         (If there is no `Accept` header, the first available media type is chosen.)
+ */
+module.exports = function negotiateMediaType(acceptHeader, availableMediaTypes) {
+
+  if (!_.isString(acceptHeader) || acceptHeader.trim() === '') {
+    return availableMediaTypes[0];
+  }//-•
+
+  // Parse the `Accept` header into a list of media ranges.
+  // e.g. `text/html, application/*;q=0.8` => [{type:'text', subtype:'html', q:1}, {type:'application', subtype:'*', q:0.8}]
+  var mediaRanges = _.reduce(acceptHeader.split(','), function(memo, rawMediaRange) {
+    var segments = rawMediaRange.split(';');
+    var typeAndSubtype = segments[0].trim().toLowerCase().split('/');
+    if (typeAndSubtype.length !== 2 || !typeAndSubtype[0] || !typeAndSubtype[1]) {
+      return memo;
+    }//-•
+
+    var q = 1;
+    _.each(segments.slice(1), function(rawParam) {
+      var keyAndValue = rawParam.split('=');
+      if (keyAndValue[0].trim().toLowerCase() === 'q') {
+        q = parseFloat(keyAndValue[1]);
+        if (_.isNaN(q)) { q = 0; }
+      }
+    });//∞
+
+    memo.push({ type: typeAndSubtype[0], subtype: typeAndSubtype[1], q: q });
+    return memo;
+  }, []);
+
+  // Then for each available media type, find the most specific media range that matches it,
+  // and use that range's q-value.  (The most acceptable one wins.  For ties, the order of
+  // `availableMediaTypes` decides.)
+  var bestMediaType;
+  var bestQ = 0;
+  _.each(availableMediaTypes, function(mediaType) {
+    var typeAndSubtype = mediaType.split('/');
+
+    var bestSpecificity = -1;
+    var q = 0;
+    _.each(mediaRanges, function(mediaRange) {
+      var specificity;
+      if (mediaRange.type === typeAndSubtype[0] && mediaRange.subtype === typeAndSubtype[1]) {
+        specificity = 2;
+      }
+      else if (mediaRange.type === typeAndSubtype[0] && mediaRange.subtype === '*') {
+        specificity = 1;
+      }
+      else if (mediaRange.type === '*' && mediaRange.subtype === '*') {
+        specificity = 0;
+      }
+      else {
+        return;
+      }
+
+      if (specificity > bestSpecificity) {
+        bestSpecificity = specificity;
+        q = mediaRange.q;
+      }
+    });//∞
+
+    if (q > bestQ) {
+      bestQ = q;
+      bestMediaType = mediaType;
+    }
+  });//∞
+
+  return bestMediaType;
+
+};
@@ -0,0 +1,58 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+var buildRequestKeyGetter = require('./build-request-key-getter');
+
+
+/**
+ * normalizeCache()
+ *
+ * Validate the `cache` option, and fill in its defaults.
+ *
+ * @param  {Dictionary} cache
+ *         @property {Number} ttl
+ *                   how long to cache each response, in milliseconds
+ *         @property {Array?} varyBy
+ *                   other things (besides the argins) that each cached response depends on
+ *                   (see `build-request-key-getter.js`)
+ *         @property {Array?} exits
+ *                   the code names of the exits whose responses may be cached (defaults to `['success']`)
+ *
+ * @param  {Dictionary} exits   [normalized exit definitions]
+ * @param  {Dictionary} inputs  [normalized input definitions]
+ * @param  {Array?} files       [the `files` option]
+ *
+ * @returns {Dictionary}
+ *          The normalized `cache` option (a new dictionary), w/ `varyBy` replaced by `getKey`:
+ *          @property {Function} getKey
+ *                    @param {Request} req
+ *                    @param {Dictionary} argins
+ *                    @returns {String}
+ *
+ * @throws {Error} If the `cache` option is invalid
+ */
+module.exports = function normalizeCache(cache, exits, inputs, files) {
+
+  if (!_.isPlainObject(cache)) {
+    throw new Error('If specified, `cache` should be a dictionary (e.g. `{ ttl: 60000 }`).  But instead, got: '+util.inspect(cache,{depth:null}));
+  }
+
+  if (!_.isNumber(cache.ttl) || _.isNaN(cache.ttl) || cache.ttl <= 0) {
+    throw new Error('The `ttl` of `cache` should be a positive number of milliseconds (e.g. 60000).  But instead, got: '+util.inspect(cache.ttl,{depth:null}));
+  }
+
+  var cacheableExits = _.isUndefined(cache.exits) ? ['success'] : cache.exits;
+  if (!_.isArray(cacheableExits) || !_.all(cacheableExits, function(exitCodeName) { return _.isString(exitCodeName) && exits[exitCodeName] && exitCodeName !== 'error'; })) {
+    throw new Error('If specified, the `exits` of `cache` should be an array of the code names of this action\'s exits (other than `error`).  But instead, got: '+util.inspect(cache.exits,{depth:null}));
+  }
+
+  return {
+    ttl: cache.ttl,
+    exits: cacheableExits,
+    getKey: buildRequestKeyGetter(cache.varyBy, 'cache', inputs, files)
+  };
+
+};
@@ -0,0 +1,70 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+var buildRequestKeyGetter = require('./build-request-key-getter');
+
+
+/**
+ * normalizeCoalesce()
+ *
+ * Validate the `coalesce` option, and fill in its defaults.
+ *
+ * @param  {Boolean|Dictionary} coalesce
+ *         Either `true`, or a dictionary:
+ *         @property {Array?} varyBy
+ *                   other things (besides the argins) that the response depends on
+ *                   (see `build-request-key-getter.js`)
+ *
+ * @param  {Dictionary} exits   [normalized exit definitions]
+ * @param  {Dictionary} inputs  [normalized input definitions]
+ * @param  {Array?} files       [the `files` option]
+ *
+ * @returns {Dictionary?}
+ *          The normalized `coalesce` option (a new dictionary), or `undefined` if it is `false`:
+ *          @property {Function} getKey
+ *                    @param {Request} req
+ *                    @param {Dictionary} argins
+ *                    @returns {String}
+ *
+ * @throws {Error} If the `coalesce` option is invalid, or if one of the exits might send a stream
+ */
+module.exports = function normalizeCoalesce(coalesce, exits, inputs, files) {
+
+  if (coalesce === false) {
+    return undefined;
+  }//-•
+
+  if (coalesce === true) {
+    coalesce = {};
+  }
+  else if (!_.isPlainObject(coalesce)) {
+    throw new Error('If specified, `coalesce` should be either `true`, or a dictionary (e.g. `{ varyBy: [\'session:userId\'] }`).  But instead, got: '+util.inspect(coalesce,{depth:null}));
+  }
+
+  // A stream can only be read once, so its output can't be shared between requests.  Any exit
+  // that sends its output as-is (i.e. a standard response w/ `outputExample: '==='`) might be
+  // called w/ a stream, and so might any exit w/ a `streamFormat`, or that sends Server-Sent Events.
+  // > This only catches the exits that say so up front.  Exits w/o an output declaration (or whose
+  // > output example can only be determined at runtime-- e.g. `like`, `itemOf`, or `getExample`)
+  // > might be called w/ a stream too, so the output is checked again at runtime: if it turns out
+  // > to be a stream (or some other source of items), it's only sent to the request that ran the
+  // > machine, and the other requests sharing the run get an error instead.
+  var streamableExitCodeName = _.find(_.keys(exits), function(exitCodeName) {
+    var exitDef = exits[exitCodeName];
+    if (exitDef.responseType === 'sse') {
+      return true;
+    }
+    return exitCodeName !== 'error' && exitDef.responseType === '' && (exitDef.outputExample === '===' || exitDef.outputType === 'ref' || !_.isUndefined(exitDef.streamFormat));
+  });
+  if (streamableExitCodeName) {
+    throw new Error('Cannot use `coalesce` with this action, because its `'+streamableExitCodeName+'` exit might send a stream (it expects any kind of output-- i.e. `outputExample: \'===\'`, has a `streamFormat`, or sends Server-Sent Events), and a stream can\'t be shared between requests.  To use `coalesce`, give that exit a more specific `outputExample`.');
+  }
+
+  return {
+    getKey: buildRequestKeyGetter(coalesce.varyBy, 'coalesce', inputs, files)
+  };
+
+};
@@ -0,0 +1,72 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+var Machine = require('machine');
+
+
+/**
+ * normalizeGuards()
+ *
+ * Validate the `guards` option, and build a callable (aka "wet") machine for each guard.
+ *
+ * A guard is a machine (or machine definition) that is run before the action's `fn`, w/ the same
+ * argins and `env`.  If it exits `success`, the next guard (or the action itself) is run.  Its
+ * other exits are responded through, just like the action's own exits.  (See `machine-as-action.js`.)
+ *
+ * @param  {Array} guards
+ *         An ordered list of machine definitions and/or callable machines.
+ *
+ * @param  {Dictionary} actionInputs
+ *         The action's input definitions.  (Guards may only declare inputs that the action also has,
+ *         since they receive the action's argins.)
+ *
+ * @param  {Dictionary} options
+ *         @property {String?} implementationSniffingTactic
+ *
+ * @returns {Array}
+ *          The callable machine for each guard, in order.
+ *
+ * @throws {Error} If the `guards` option is invalid
+ */
+module.exports = function normalizeGuards(guards, actionInputs, options) {
+
+  if (!_.isArray(guards)) {
+    throw new Error('If specified, `guards` should be an array of machines (or machine definitions).  But instead, got: '+util.inspect(guards,{depth:null}));
+  }
+
+  return _.map(guards, function(guard, i) {
+
+    if (_.isFunction(guard) && guard.IS_MACHINE_AS_ACTION) {
+      throw new Error('Invalid guard (at index '+i+' in `guards`): Guards should be machines (or machine definitions), not actions that were already built with `machine-as-action`.');
+    }//-•
+
+    var wetGuard;
+    if (_.isFunction(guard) && _.isFunction(guard.getDef)) {
+      wetGuard = guard;
+    }
+    else if (_.isPlainObject(guard) && _.isFunction(guard.fn)) {
+      wetGuard = Machine.buildWithCustomUsage({
+        def: _.extend({
+          identity: guard.friendlyName ? _.kebabCase(guard.friendlyName) : 'anonymous-guard-'+i
+        }, guard),
+        implementationSniffingTactic: options.implementationSniffingTactic||undefined
+      });
+    }
+    else {
+      throw new Error('Invalid guard (at index '+i+' in `guards`): Guards should be machines (or machine definitions, with an `fn`).  But instead, got: '+util.inspect(guard,{depth:null}));
+    }
+
+    _.each(_.keys(wetGuard.getDef().inputs), function(inputCodeName) {
+      if (!_.has(actionInputs, inputCodeName)) {
+        throw new Error('Invalid guard (`'+wetGuard.getDef().identity+'`): It declares an input (`'+inputCodeName+'`) which the action doesn\'t have.  (Guards receive the action\'s argins, so they may only declare inputs that the action also has.)');
+      }
+    });//∞
+
+    return wetGuard;
+
+  });
+
+};
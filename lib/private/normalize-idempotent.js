@@ -0,0 +1,56 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+var buildMemoryIdempotencyStore = require('./build-memory-idempotency-store');
+
+
+/**
+ * normalizeIdempotent()
+ *
+ * Validate the `idempotent` option, and fill in its defaults.
+ *
+ * @param  {Boolean|Dictionary} idempotent
+ *         Either `true`, or a dictionary:
+ *         @property {Dictionary?} store
+ *                   (see `build-memory-idempotency-store.js`)
+ *         @property {Number?} ttlMs
+ *                   how long to remember each response (defaults to 24 hours)
+ *
+ * @returns {Dictionary?}
+ *          The normalized `idempotent` option (a new dictionary), or `undefined` if it's disabled.
+ *          @property {Dictionary} store
+ *          @property {Number} ttlMs
+ *
+ * @throws {Error} If the `idempotent` option is invalid
+ */
+module.exports = function normalizeIdempotent(idempotent) {
+
+  if (idempotent === false) {
+    return undefined;
+  }
+  else if (idempotent === true) {
+    idempotent = {};
+  }
+  else if (!_.isPlainObject(idempotent)) {
+    throw new Error('If specified, `idempotent` should be either `true`, or a dictionary (e.g. `{ ttlMs: 3600000 }`).  But instead, got: '+util.inspect(idempotent,{depth:null}));
+  }
+
+  var ttlMs = _.isUndefined(idempotent.ttlMs) ? 24*60*60*1000 : idempotent.ttlMs;
+  if (!_.isNumber(ttlMs) || _.isNaN(ttlMs) || ttlMs <= 0) {
+    throw new Error('The `ttlMs` of `idempotent` should be a positive number of milliseconds (e.g. 3600000).  But instead, got: '+util.inspect(ttlMs,{depth:null}));
+  }
+
+  var store = _.isUndefined(idempotent.store) ? buildMemoryIdempotencyStore() : idempotent.store;
+  if (!_.isObject(store) || !_.isFunction(store.add) || !_.isFunction(store.set) || !_.isFunction(store.remove)) {
+    throw new Error('If specified, the `store` of `idempotent` should be an idempotency store (a dictionary with `add`, `set`, and `remove` functions).  But instead, got: '+util.inspect(store,{depth:null}));
+  }
+
+  return {
+    store: store,
+    ttlMs: ttlMs
+  };
+
+};
@@ -0,0 +1,86 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+var flaverr = require('flaverr');
+
+
+/**
+ * The sources an input may declare that it comes from (i.e. `in`).
+ * @type {Array}
+ */
+var KNOWN_SOURCES = ['path', 'query', 'body', 'header', 'cookie', 'session'];
+
+/**
+ * The sources whose values are always strings.
+ * @type {Array}
+ */
+var STRING_ONLY_SOURCES = ['path', 'header', 'cookie'];
+
+
+/**
+ * Sanitize and validate any input source metadata (`in` and `name`) declared in the
+ * provided input definitions.  Inputs which don't declare an `in` are left alone (they
+ * continue to be sourced from conventional request parameters, i.e. `req.param()`).
+ *
+ * @param  {Dictionary} inputs   [normalized input definitions from the wet machine]
+ * @param  {Dictionary} options  [machine-as-action options (for `files` & `urlWildcardSuffix`)]
+ *
+ * NOTE THAT THIS FUNCTION MUTATES THE PROVIDED `inputs`!
+ *
+ * @throws {Error} If input source metadata is invalid or if machine-as-action doesn't know how to handle it
+ *         @property {String} code  (===E_INVALID_PARAM_METADATA_IN_INPUT_DEF)
+ */
+module.exports = function normalizeInputSources(inputs, options) {
+
+  _.each(inputs, function(inputDef, inputCodeName) {
+
+    // If this input doesn't declare where it comes from, there's nothing to do.
+    if (_.isUndefined(inputDef.in)) {
+      return;
+    }//-•
+
+    // Source (`in`)
+    if (!_.contains(KNOWN_SOURCES, inputDef.in)) {
+      throw flaverr(
+        'E_INVALID_PARAM_METADATA_IN_INPUT_DEF',
+        new Error(util.format('`machine-as-action` doesn\'t know how to handle the source ("%s") specified as `in` for input "%s".  (Should be either omitted, or set to one of: \'%s\'.)', inputDef.in, inputCodeName, KNOWN_SOURCES.join('\', \'')))
+      );
+    }//-•
+
+    // Name of the header/parameter/cookie/session key (`name`)
+    // > Defaults to the code name of the input.
+    if (_.isUndefined(inputDef.name)) {
+      inputDef.name = inputCodeName;
+    }
+    else if (!_.isString(inputDef.name) || inputDef.name === '') {
+      throw flaverr(
+        'E_INVALID_PARAM_METADATA_IN_INPUT_DEF',
+        new Error(util.format('`machine-as-action` doesn\'t know how to handle the `name` (%s) specified for input "%s".  This should be the name of the %s, or omitted to use the input\'s code name.', util.inspect(inputDef.name, {depth: null}), inputCodeName, inputDef.in === 'header' ? 'request header' : inputDef.in === 'session' ? 'session key' : inputDef.in === 'cookie' ? 'cookie' : 'parameter'))
+      );
+    }//-•
+
+    // Header, cookie, and URL path values are always strings, so make sure this input expects
+    // something that can reasonably be coerced from one (i.e. a string, number, boolean, or JSON).
+    if (_.contains(STRING_ONLY_SOURCES, inputDef.in) && !_.contains(['string', 'number', 'boolean', 'json'], inputDef.type)) {
+      throw flaverr(
+        'E_INVALID_PARAM_METADATA_IN_INPUT_DEF',
+        new Error(util.format('Cannot configure input "%s" to come from `in: \'%s\'` ("%s").  Since those values are always strings, this input must expect a string, number, boolean, or JSON.  But instead, it expects: %s', inputCodeName, inputDef.in, inputDef.name, util.inspect(inputDef.type, {depth: null})))
+      );
+    }//-•
+
+    // And make sure it isn't also claimed by another option.
+    if (_.contains(options.files || [], inputCodeName) || options.urlWildcardSuffix === inputCodeName) {
+      throw flaverr(
+        'E_INVALID_PARAM_METADATA_IN_INPUT_DEF',
+        new Error(util.format('Cannot configure input "%s" to come from `in: \'%s\'`, because it is already being used for `files` or `urlWildcardSuffix`.', inputCodeName, inputDef.in))
+      );
+    }//-•
+
+  });//∞
+
+  return inputs;
+
+};
@@ -0,0 +1,69 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+var EN = require('./locales/en');
+
+
+/**
+ * The names of the messages that may be included in a bundle, but which have
+ * no English default.  (See `./locales/en.js`.)
+ * @type {Array}
+ */
+var OPTIONAL_MESSAGES = [
+  'problemMissing',
+  'problemWrongType',
+  'problemFailedCustomValidation',
+  'problemMisplaced'
+];
+
+
+/**
+ * normalizeLocales()
+ *
+ * Validate the message catalogue bundles provided as the `locales` option, and build
+ * complete catalogues (i.e. w/ any missing messages filled in from the English bundle).
+ *
+ * @param  {Dictionary?} locales
+ *         e.g.
+ *         {
+ *           fr: { timeout: 'Délai dépassé ({timeout}ms).' },
+ *           'pt-br': { ... }
+ *         }
+ *
+ * @returns {Dictionary}
+ *          The complete catalogue for each locale (w/ lowercased keys), always including `en`.
+ *
+ * @throws {Error} If the bundles are invalid
+ */
+module.exports = function normalizeLocales(locales) {
+
+  if (_.isUndefined(locales)) {
+    locales = {};
+  }
+  else if (!_.isPlainObject(locales)) {
+    throw new Error('If specified, `locales` should be a dictionary of message catalogue bundles, keyed by locale (e.g. `{ fr: {...} }`).  But instead, got: '+util.inspect(locales,{depth:null}));
+  }
+
+  var catalogues = { en: _.clone(EN) };
+  _.each(locales, function(bundle, locale) {
+    if (!_.isPlainObject(bundle)) {
+      throw new Error('Invalid message catalogue bundle for locale `'+locale+'`.  It should be a dictionary of messages.  But instead, got: '+util.inspect(bundle,{depth:null}));
+    }
+    _.each(bundle, function(message, messageName) {
+      if (!_.has(EN, messageName) && !_.contains(OPTIONAL_MESSAGES, messageName)) {
+        throw new Error('Unrecognized message (`'+messageName+'`) in the message catalogue bundle for locale `'+locale+'`.  Recognized messages are: '+_.union(_.keys(EN), OPTIONAL_MESSAGES).join(', '));
+      }
+      if (!_.isString(message) && !_.isFunction(message)) {
+        throw new Error('Invalid message (`'+messageName+'`) in the message catalogue bundle for locale `'+locale+'`.  It should be either a string or a function.  But instead, got: '+util.inspect(message,{depth:null}));
+      }
+    });
+    var normalizedLocale = locale.toLowerCase();
+    catalogues[normalizedLocale] = _.extend({}, catalogues[normalizedLocale] || EN, bundle);
+  });
+
+  return catalogues;
+
+};
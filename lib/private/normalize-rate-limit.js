@@ -0,0 +1,105 @@
+/**
+ * Module dependencies
+ */
+
+var util = require('util');
+var _ = require('@sailshq/lodash');
+var buildMemoryRateLimitStore = require('./build-memory-rate-limit-store');
+
+
+/**
+ * normalizeRateLimit()
+ *
+ * Validate the `rateLimit` option, and fill in its defaults.
+ *
+ * @param  {Dictionary} rateLimit
+ *         @property {Number} windowMs
+ *         @property {Number} max
+ *         @property {String|Function?} key
+ *                   One of:
+ *                   • 'ip' (the default)-- the IP address of the requesting user agent
+ *                   • 'input:<input code name>'-- the value of one of the action's inputs (e.g. 'input:apiKey')
+ *                   • 'session:<key>'-- the value of a key in the session (e.g. 'session:userId')
+ *                   • a function that receives `req` and the argins, and returns a string
+ *         @property {Dictionary?} store
+ *                   (see `build-memory-rate-limit-store.js`)
+ *         @property {String?} exit
+ *                   the code name of the exit to respond through when the limit is exceeded
+ *                   (defaults to `tooManyRequests`, if the action has an exit by that name)
+ *
+ * @param  {Dictionary} exits   [normalized exit definitions]
+ * @param  {Dictionary} inputs  [normalized input definitions]
+ *
+ * @returns {Dictionary}
+ *          The normalized `rateLimit` option (a new dictionary), w/ `key` replaced by `getKey`:
+ *          @property {Function} getKey
+ *                    @param {Request} req
+ *                    @param {Dictionary} argins
+ *                    @returns {String}
+ *
+ * @throws {Error} If the `rateLimit` option is invalid
+ */
+module.exports = function normalizeRateLimit(rateLimit, exits, inputs) {
+
+  if (!_.isPlainObject(rateLimit)) {
+    throw new Error('If specified, `rateLimit` should be a dictionary (e.g. `{ windowMs: 60000, max: 100 }`).  But instead, got: '+util.inspect(rateLimit,{depth:null}));
+  }
+
+  if (!_.isNumber(rateLimit.windowMs) || _.isNaN(rateLimit.windowMs) || rateLimit.windowMs <= 0) {
+    throw new Error('The `windowMs` of `rateLimit` should be a positive number of milliseconds (e.g. 60000).  But instead, got: '+util.inspect(rateLimit.windowMs,{depth:null}));
+  }
+
+  if (!_.isNumber(rateLimit.max) || Math.floor(rateLimit.max) !== rateLimit.max || rateLimit.max < 1) {
+    throw new Error('The `max` of `rateLimit` should be a positive integer (the maximum number of requests allowed per window).  But instead, got: '+util.inspect(rateLimit.max,{depth:null}));
+  }
+
+  var getKey;
+  var key = _.isUndefined(rateLimit.key) ? 'ip' : rateLimit.key;
+  if (_.isFunction(key)) {
+    getKey = function(req, argins) {
+      return String(key(req, argins));
+    };
+  }
+  else if (key === 'ip') {
+    getKey = function(req) {
+      return String(req.ip || (req.socket && req.socket.remoteAddress) || (req.connection && req.connection.remoteAddress) || '');
+    };
+  }
+  else if (_.isString(key) && key.match(/^input:/)) {
+    var inputCodeName = key.replace(/^input:/, '');
+    if (!inputs[inputCodeName]) {
+      throw new Error('The `key` of `rateLimit` refers to an input (`'+inputCodeName+'`) which doesn\'t exist.');
+    }
+    getKey = function(req, argins) {
+      return _.isUndefined(argins[inputCodeName]) ? '' : String(argins[inputCodeName]);
+    };
+  }
+  else if (_.isString(key) && key.match(/^session:./)) {
+    var sessionKey = key.replace(/^session:/, '');
+    getKey = function(req) {
+      var value = _.isObject(req.session) ? req.session[sessionKey] : undefined;
+      return _.isUndefined(value) ? '' : String(value);
+    };
+  }
+  else {
+    throw new Error('If specified, the `key` of `rateLimit` should be either \'ip\', \'input:<input code name>\', \'session:<key>\', or a function.  But instead, got: '+util.inspect(key,{depth:null}));
+  }
+
+  var store = _.isUndefined(rateLimit.store) ? buildMemoryRateLimitStore() : rateLimit.store;
+  if (!_.isObject(store) || !_.isFunction(store.increment)) {
+    throw new Error('If specified, the `store` of `rateLimit` should be a rate limit store (a dictionary with an `increment` function).  But instead, got: '+util.inspect(store,{depth:null}));
+  }
+
+  if (!_.isUndefined(rateLimit.exit) && (!_.isString(rateLimit.exit) || !exits[rateLimit.exit])) {
+    throw new Error('If specified, the `exit` of `rateLimit` should be the code name of one of this action\'s exits (e.g. \'tooManyRequests\').  But instead, got: '+util.inspect(rateLimit.exit,{depth:null}));
+  }
+
+  return {
+    windowMs: rateLimit.windowMs,
+    max: rateLimit.max,
+    getKey: getKey,
+    store: store,
+    exit: rateLimit.exit || (exits.tooManyRequests ? 'tooManyRequests' : undefined)
+  };
+
+};
@@ -6,6 +6,7 @@ var util = require('util');
 var _ = require('@sailshq/lodash');
 var flaverr = require('flaverr');
 var getOutputExample = require('./get-output-example');
+var checkOutputExampleCompatibility = require('./check-output-example-compatibility');
 
 
 /**
@@ -14,6 +15,7 @@ var getOutputExample = require('./get-output-example');
  *
  * @param  {Dictionary} configuredResponses
  * @param  {Dictionary} exits
+ * @param  {Dictionary?} inputs   [input definitions, for resolving `like`/`itemOf`]
  * @return {Dictionary}      [normalized response metadata for each exit]
  *
  * NOTE THAT THIS FUNCTION MUTATES BOTH THE PROVIDED `configuredResponses` AND THE PROVIDED `exits`!
@@ -21,7 +23,7 @@ var getOutputExample = require('./get-output-example');
  * @throws {Error} If exit/response metadata is invalid or if machine-as-action doesn't know how to handle it
  *         @property {String} code  (===E_INVALID_RES_METADATA_IN_EXIT_DEF)
  */
-module.exports = function normalizeResponses(configuredResponses, exits) {
+module.exports = function normalizeResponses(configuredResponses, exits, inputs) {
 
   // Note that we extend success and error exits here so that they will always exist
   // when this custom response metadata is being built. This only runs once when initially
@@ -99,6 +101,115 @@ module.exports = function normalizeResponses(configuredResponses, exits) {
       }
     } //>-•
 
+    // Response headers (`responseHeaders`)
+    // > A dictionary of headers to send, where each value is either a string/number, or a function
+    // > that receives the exit's output and returns one.
+    if (!_.isUndefined(exitDef.responseHeaders)) {
+      if (!_.isPlainObject(exitDef.responseHeaders)) {
+        throw flaverr(
+          'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+          new Error(util.format('`machine-as-action` doesn\'t know how to handle the `responseHeaders` specified for exit "%s".  This should be a dictionary of header names and values (e.g. `{ \'Retry-After\': 120 }`).  But instead, it is: %s', exitCodeName, util.inspect(exitDef.responseHeaders, {depth: null})))
+        );
+      }//-•
+
+      _.each(exitDef.responseHeaders, function(headerValue, headerName) {
+        if (!headerName.match(/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/)) {
+          throw flaverr(
+            'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+            new Error(util.format('`machine-as-action` doesn\'t know how to handle the header name ("%s") in the `responseHeaders` for exit "%s".  This should be a valid HTTP header name (e.g. `Content-Disposition`).', headerName, exitCodeName))
+          );
+        }//-•
+
+        if (!_.isString(headerValue) && !_.isNumber(headerValue) && !_.isFunction(headerValue)) {
+          throw flaverr(
+            'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+            new Error(util.format('`machine-as-action` doesn\'t know how to handle the value for the "%s" header in the `responseHeaders` for exit "%s".  This should be a string, a number, or a function that receives the exit\'s output and returns one.  But instead, it is: %s', headerName, exitCodeName, util.inspect(headerValue, {depth: null})))
+          );
+        }//-•
+      });//∞
+    } //>-•
+
+    // Stream format (`streamFormat`)
+    // > How to send the items, if the output is an object-mode readable stream or an async iterable:
+    // > either `ndjson` (newline-delimited JSON, one item per line), or `json` (a JSON array).
+    if (!_.isUndefined(exitDef.streamFormat) && !_.contains(['ndjson', 'json'], exitDef.streamFormat)) {
+      throw flaverr(
+        'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+        new Error(util.format('`machine-as-action` doesn\'t know how to handle the `streamFormat` ("%s") specified for exit "%s".  This should be either \'ndjson\' (the default) or \'json\'.', exitDef.streamFormat, exitCodeName))
+      );
+    } //>-•
+
+    // Heartbeat interval (`heartbeatInterval`)
+    // > For Server-Sent Events, how often to send a comment line to keep the connection open
+    // > (in milliseconds).  Defaults to 15 seconds.  Use 0 to disable heartbeats.
+    if (!_.isUndefined(exitDef.heartbeatInterval) && (!_.isNumber(exitDef.heartbeatInterval) || _.isNaN(exitDef.heartbeatInterval) || exitDef.heartbeatInterval < 0)) {
+      throw flaverr(
+        'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+        new Error(util.format('`machine-as-action` doesn\'t know how to handle the `heartbeatInterval` (%s) specified for exit "%s".  This should be a number of milliseconds (e.g. 15000), or 0 to disable heartbeats.', util.inspect(exitDef.heartbeatInterval, {depth: null}), exitCodeName))
+      );
+    } //>-•
+
+    // Representations (`representations`)
+    // > A dictionary keyed by media type (e.g. `text/html`), where each value describes how to send
+    // > the exit's output in that format.  At runtime, one is chosen based on the `Accept` header.
+    if (!_.isUndefined(exitDef.representations)) {
+      if (!_.isPlainObject(exitDef.representations) || _.keys(exitDef.representations).length === 0) {
+        throw flaverr(
+          'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+          new Error(util.format('`machine-as-action` doesn\'t know how to handle the `representations` specified for exit "%s".  This should be a dictionary keyed by media type (e.g. `{ \'text/html\': { viewTemplatePath: \'pages/homepage\' }, \'application/json\': {} }`).  But instead, it is: %s', exitCodeName, util.inspect(exitDef.representations, {depth: null})))
+        );
+      }//-•
+
+      exitDef.representations = _.reduce(exitDef.representations, function(memo, representation, mediaType) {
+        if (!mediaType.match(/^[^\s\/*;,]+\/[^\s\/*;,]+$/)) {
+          throw flaverr(
+            'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+            new Error(util.format('`machine-as-action` doesn\'t know how to handle the media type ("%s") in the `representations` for exit "%s".  Each key should be a specific media type, without wildcards or parameters (e.g. `application/json`).', mediaType, exitCodeName))
+          );
+        }//-•
+
+        if (!_.isPlainObject(representation)) {
+          throw flaverr(
+            'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+            new Error(util.format('`machine-as-action` doesn\'t know how to handle the "%s" representation for exit "%s".  It should be a dictionary (e.g. `{}`, `{ viewTemplatePath: \'pages/homepage\' }`, or `{ serialize: function(output) { return \'...\'; } }`).  But instead, it is: %s', mediaType, exitCodeName, util.inspect(representation, {depth: null})))
+          );
+        }//-•
+
+        if (!_.isUndefined(representation.viewTemplatePath) && (representation.viewTemplatePath === '' || !_.isString(representation.viewTemplatePath))) {
+          throw flaverr(
+            'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+            new Error(util.format('`machine-as-action` doesn\'t know how to handle the view template path (%s) specified for the "%s" representation of exit "%s".  This should be the relative path to a view file from the `views/` directory, minus the extension (`.ejs`).', util.inspect(representation.viewTemplatePath, {depth: null}), mediaType, exitCodeName))
+          );
+        }//-•
+
+        if (!_.isUndefined(representation.serialize) && !_.isFunction(representation.serialize)) {
+          throw flaverr(
+            'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+            new Error(util.format('`machine-as-action` doesn\'t know how to handle the `serialize` specified for the "%s" representation of exit "%s".  This should be a function that accepts the exit\'s output and returns the response body (a string).', mediaType, exitCodeName))
+          );
+        }//-•
+
+        if (!_.isUndefined(representation.viewTemplatePath) && !_.isUndefined(representation.serialize)) {
+          throw flaverr(
+            'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+            new Error(util.format('The "%s" representation of exit "%s" cannot have both a `viewTemplatePath` and a `serialize` function.', mediaType, exitCodeName))
+          );
+        }//-•
+
+        // JSON and plain text can be sent without any further instructions, but
+        // anything else needs a view or a `serialize` function.
+        if (_.isUndefined(representation.viewTemplatePath) && _.isUndefined(representation.serialize) && !_.contains(['application/json', 'text/plain'], mediaType.toLowerCase())) {
+          throw flaverr(
+            'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+            new Error(util.format('`machine-as-action` doesn\'t know how to send the "%s" representation of exit "%s".  Other than for `application/json` and `text/plain`, please specify either a `viewTemplatePath` or a `serialize` function.', mediaType, exitCodeName))
+          );
+        }//-•
+
+        memo[mediaType.toLowerCase()] = representation;
+        return memo;
+      }, {});
+    } //>-•
+
 
 
     // Then set any remaining unspecified stuff to reasonable defaults.
@@ -123,6 +234,15 @@ module.exports = function normalizeResponses(configuredResponses, exits) {
     } //>-
 
 
+    // Content negotiation (`representations`) is only supported for the standard response type.
+    if (exitDef.representations && exitDef.responseType !== '') {
+      throw flaverr(
+        'E_INVALID_RES_METADATA_IN_EXIT_DEF',
+        new Error(util.format('Cannot configure exit "%s" with `representations` unless it uses the standard response type (i.e. `responseType: \'\'`).  But instead, its response type is "%s".  (To render a view for some requests, specify a `viewTemplatePath` for the `text/html` representation.)', exitCodeName, exitDef.responseType))
+      );
+    } //>-
+
+
     // Infer appropriate status code:
     //
     // If status code was not explicitly specified, infer an appropriate code based on the response type and/or exitCodeName.
@@ -147,6 +267,11 @@ module.exports = function normalizeResponses(configuredResponses, exits) {
       else if (exitDef.responseType === 'view') {
         exitDef.statusCode = 200;
       }
+      // Same for Server-Sent Events.  (The `EventSource` API in browsers only accepts a 200 response.)
+      // `200` (sse)
+      else if (exitDef.responseType === 'sse') {
+        exitDef.statusCode = 200;
+      }
       // Otherwise... well, this must be some other exit besides success and error
       // and it must not be doing a redirect, so use:
       // `500` (misc)
@@ -156,53 +281,44 @@ module.exports = function normalizeResponses(configuredResponses, exits) {
     } //>-
 
     // Look up the output example for this exit.
-    var outputExample = getOutputExample({
-      exitDef: exitDef
-    });
+    // (If it can only be determined at runtime-- i.e. `getExample`, or `like`/`itemOf` referring
+    // to an exemplar input-- then compatibility w/ the response type is checked at runtime instead.)
+    var outputExample;
+    var isOutputExampleDynamic = false;
+    try {
+      outputExample = getOutputExample({
+        exitDef: exitDef,
+        exitCodeName: exitCodeName,
+        inputs: inputs
+      });
+    } catch (e) {
+      switch (e.code) {
+        case 'E_OUTPUT_EXAMPLE_REQUIRES_ARGINS':
+          isOutputExampleDynamic = true;
+          break;
+        default: throw e;
+      }
+    }
 
     // Ensure response type is compatible with exit definition
-    if (exitDef.responseType === 'redirect') {
-      // Note that we tolerate the absense of an outputExample, since a redirect is assumed to always be a string.
-      if (!_.isUndefined(outputExample) && !_.isString(outputExample)) {
-        throw flaverr(
-          'E_INVALID_RES_METADATA_IN_EXIT_DEF',
-          new Error(util.format('Cannot configure exit "%s" to redirect.  The redirect URL is based on the return value from the exit, so the exit\'s `outputExample` must be a string.  But instead, it is: ', exitCodeName, util.inspect(outputExample, false, null)))
-        );
-      } //-•
-
-      // If no outputExample was specified, modify the exit in-memory to make it a string.
-      // This is criticial, otherwise the machine runner will convert the runtime output into an Error instance,
-      // since it'll think the exit isn't expecting any output (note that we also set the `outputExample` local
-      // variable, just for consistency.)
-      if (_.isUndefined(outputExample)) {
-        outputExample = '/some/other/place';
-        exitDef.outputExample = outputExample;
-        // Currently, we have to set BOTH `outputExample` and `example`.
-        // This will be normalized soon in a patch release of the machine runner, and at that
-        // point, this line can be removed:
-        // ------------------------------------------------
-        exitDef.example = outputExample;
-        // ------------------------------------------------
-      }
+    if (!isOutputExampleDynamic) {
+      checkOutputExampleCompatibility(exitDef, exitCodeName, outputExample);
+    } //>-
 
-    } else if (exitDef.responseType === 'view') {
-      // Note that we tolerate `===` so that it can be used for performance reasons.
-      // If no output example is provided, we treat it like `===`.
-      if (!_.isUndefined(outputExample) && outputExample !== '===' && !_.isPlainObject(outputExample)) {
-        throw flaverr(
-          'E_INVALID_RES_METADATA_IN_EXIT_DEF',
-          new Error(util.format('Cannot configure exit "%s" to show a view.  The return value from the exit is used as view locals (variables accessible inside the view HTML), so the exit\'s `outputExample` must be some sort of dictionary (`{}`).  But instead, it\'s: ', exitCodeName, util.inspect(outputExample, false, null)))
-        );
-      }
-    } else if (exitDef.responseType === 'json') {
-      // ** NOTE THAT THE `json` RESPONSE TYPE IS DEPRECATED **
-      if (!_.isUndefined(outputExample) && _.isUndefined(outputExample)) {
-        throw flaverr(
-          'E_INVALID_RES_METADATA_IN_EXIT_DEF',
-          new Error(util.format('Cannot configure exit "%s" to respond with JSON.  The return value from the exit will be encoded as JSON, so something must be returned...but the exit\'s `outputExample` is undefined.', exitCodeName))
-        );
-      }
-    } //>-•
+    // If this is a redirect and no outputExample was specified (in any form), modify the exit in-memory to make
+    // it a string.  This is criticial, otherwise the machine runner will convert the runtime output into an Error
+    // instance, since it'll think the exit isn't expecting any output (note that we also set the `outputExample`
+    // local variable, just for consistency.)
+    if (exitDef.responseType === 'redirect' && _.isUndefined(outputExample) && !isOutputExampleDynamic) {
+      outputExample = '/some/other/place';
+      exitDef.outputExample = outputExample;
+      // Currently, we have to set BOTH `outputExample` and `example`.
+      // This will be normalized soon in a patch release of the machine runner, and at that
+      // point, this line can be removed:
+      // ------------------------------------------------
+      exitDef.example = outputExample;
+      // ------------------------------------------------
+    } //>-
 
     // Log warning if unnecessary stuff is provided (i.e. a `view` was provided along with responseType !== "view")
     if (exitDef.viewTemplatePath && exitDef.responseType !== 'view') {
@@ -0,0 +1,44 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * parseValidationProblem()
+ *
+ * Parse one of the validation problems from an `E_INVALID_ARGINS` error into a dictionary that
+ * identifies which input it is about.
+ *
+ * > The machine runner only provides these problems as human-readable strings, so this relies
+ * > on the format of its messages (i.e. they start w/ the quoted input code name).  To be safe,
+ * > only the code names of inputs that actually exist are recognized.  If a problem doesn't
+ * > match, then `input` is left undefined (rather than guessing).
+ *
+ * @param  {String} problem
+ *         e.g. `"foo" is required, but it was not defined.` or `Invalid "foo": ...`
+ * @param  {Array} inputCodeNames
+ *         The code names of the machine's inputs.
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ *          @property {String?} input   [the code name of the input, if it could be determined]
+ *          @property {String} reason   [the original problem message]
+ */
+module.exports = function parseValidationProblem(problem, inputCodeNames) {
+
+  var problemStr = String(problem);
+  var inputCodeName = _.find(inputCodeNames, function(inputCodeName) {
+    return (
+      problemStr.indexOf('"'+inputCodeName+'" ') === 0 ||
+      problemStr.indexOf('Invalid "'+inputCodeName+'":') === 0
+    );
+  });
+
+  return {
+    input: inputCodeName,
+    reason: problemStr
+  };
+
+};
@@ -0,0 +1,58 @@
+/**
+ * Module dependencies
+ */
+
+var fs = require('fs');
+var util = require('util');
+var _ = require('@sailshq/lodash');
+
+
+/**
+ * buildJsonLinesSpanExporter()
+ *
+ * Build a span exporter that appends each span to a file, as a line of JSON.
+ * (See `./memory.js` for more about span exporters.)
+ *
+ * @param  {Dictionary} opts
+ *         @property {String} path   [the path of the file to append to]
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ *          @property {Function} export
+ *          @property {Function} close
+ *                    Finish writing, and close the file.
+ *                    @param {Function?} done
+ */
+module.exports = function buildJsonLinesSpanExporter(opts) {
+
+  if (!_.isObject(opts) || !_.isString(opts.path) || opts.path === '') {
+    throw new Error('The JSON lines span exporter needs a `path` (the path of the file to append spans to).  But instead, got: '+util.inspect(opts,{depth:null}));
+  }
+
+  // (The file is opened the first time a span is exported.)
+  var stream;
+
+  return {
+
+    export: function(span) {
+      if (!stream) {
+        stream = fs.createWriteStream(opts.path, { flags: 'a' });
+        stream.on('error', function(err) {
+          console.error('The JSON lines span exporter could not write to `'+opts.path+'`.  Error details:', err);
+        });
+      }
+      stream.write(JSON.stringify(span)+'\n');
+    },
+
+    close: function(done) {
+      done = done || function() {};
+      if (!stream) { return done(); }
+      stream.end(function() {
+        stream = undefined;
+        return done();
+      });
+    }
+
+  };
+
+};
@@ -0,0 +1,50 @@
+/**
+ * buildMemorySpanExporter()
+ *
+ * Build a span exporter that keeps spans in memory.  (Useful for tests.)
+ *
+ * A span exporter is a dictionary with an `export` function, which receives each finished span:
+ *
+ * ```
+ * {
+ *   traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+ *   spanId: '00f067aa0ba902b7',
+ *   parentSpanId: undefined,              // (or the span id from the incoming `traceparent`)
+ *   name: 'find-pet',                     // (the action's identity)
+ *   kind: 'server',
+ *   startTime: 1700000000000,             // (JS timestamps)
+ *   endTime: 1700000000012,
+ *   attributes: { 'machine_as_action.identity': 'find-pet', ... },
+ *   status: 'ok'                          // (or 'error', for 5xx responses or aborted requests)
+ * }
+ * ```
+ *
+ * ------------------------------------------------------------------------------------------
+ * @returns {Dictionary}
+ *          @property {Function} export
+ *          @property {Function} getSpans
+ *                    @returns {Array}  [the spans exported so far]
+ *          @property {Function} reset
+ *                    Forget the spans exported so far.
+ */
+module.exports = function buildMemorySpanExporter() {
+
+  var spans = [];
+
+  return {
+
+    export: function(span) {
+      spans.push(span);
+    },
+
+    getSpans: function() {
+      return spans.slice();
+    },
+
+    reset: function() {
+      spans = [];
+    }
+
+  };
+
+};
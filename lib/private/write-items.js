@@ -0,0 +1,146 @@
+/**
+ * Module dependencies
+ */
+
+var _ = require('@sailshq/lodash');
+var formatSseEvent = require('./format-sse-event');
+
+
+/**
+ * writeItems()
+ *
+ * Send the items from an object-mode readable stream or an async iterable (see `is-item-source.js`)
+ * as the response body, one at a time, as they become available.  If the response can't take any
+ * more data for now, we wait for it to drain before reading the next item.  If the user agent
+ * disconnects, we stop reading items (and let the source know, if it's an async iterator that
+ * supports it).
+ *
+ * @param  {Dictionary} opts
+ *         @property {Ref} source
+ *         @property {Response} res   [w/ the status code and headers already set]
+ *         @property {String} format
+ *                   Either:
+ *                   • 'ndjson'-- each item as a line of JSON (i.e. newline-delimited JSON)
+ *                   • 'json'-- all of the items as a JSON array
+ *                   • 'sse'-- each item as a Server-Sent Event (see `format-sse-event.js`)
+ *         @property {Function} prepareItem
+ *                   Prepare an item to be JSON-stringified (e.g. by dehydrating it).  If this
+ *                   throws, it's handled like an error from the source.
+ *                   @param {Ref} item
+ *                   @returns {JSON}   [or for 'sse', an event-- i.e. a dictionary w/ `data`]
+ *         @property {Function} isAborted
+ *                   @returns {Boolean}   [whether the user agent has disconnected]
+ *
+ * @param  {Function} done
+ *         Called once all of the items have been sent (or the user agent has disconnected), or if
+ *         something goes wrong.  (In that case, the response has not been ended.)
+ *         @param {Error?} err
+ */
+module.exports = function writeItems(opts, done) {
+
+  var res = opts.res;
+  var numItemsWritten = 0;
+
+  var iterator;
+  try {
+    iterator = opts.source[global.Symbol.asyncIterator]();
+  } catch (e) { return done(e); }
+
+  // If the user agent disconnects while we're waiting for the next item, stop waiting.
+  var isFinished = false;
+  var _finish = function(err) {
+    if (isFinished) { return; }
+    isFinished = true;
+    res.removeListener('close', _onClose);
+    return done(err);
+  };//ƒ
+  var _onClose = function() {
+    if (isFinished || res.finished) { return; }
+    _stopReading();
+    return _finish();
+  };//ƒ
+  res.once('close', _onClose);
+
+  var _stopReading = function() {
+    if (!_.isFunction(iterator.return)) { return; }
+    try {
+      var returned = iterator.return();
+      if (returned && _.isFunction(returned.then)) {
+        returned.then(_.noop, _.noop);
+      }
+    } catch (unusedErr) { /* The source is already done for, so there's nothing more to do. */ }
+  };//ƒ
+
+  var _waitForDrainThen = function(proceed) {
+    var _onDrainOrClose = function() {
+      res.removeListener('drain', _onDrainOrClose);
+      res.removeListener('close', _onDrainOrClose);
+      return proceed();
+    };//ƒ
+    res.once('drain', _onDrainOrClose);
+    res.once('close', _onDrainOrClose);
+  };//ƒ
+
+  (function _writeNextItem(){
+    if (isFinished) {
+      return;
+    }
+    else if (opts.isAborted()) {
+      _stopReading();
+      return _finish();
+    }//-•
+
+    // Note that a misbehaving source might throw when asked for its next item, rather
+    // than returning a rejected promise.
+    var nextItemPromise;
+    try {
+      nextItemPromise = iterator.next();
+    } catch (e) {
+      _stopReading();
+      return _finish(e);
+    }
+
+    global.Promise.resolve(nextItemPromise).then(function(result) {
+      if (isFinished) { return; }
+      if (result.done) {
+        if (opts.format === 'json') {
+          res.write(numItemsWritten === 0 ? '[]' : ']');
+        }
+        res.end();
+        return _finish();
+      }//-•
+
+      var chunk;
+      try {
+        chunk = opts.prepareItem(result.value);
+        if (opts.format === 'sse') {
+          chunk = formatSseEvent(chunk);
+        }
+        else if (opts.format === 'json') {
+          chunk = (numItemsWritten === 0 ? '[' : ',')+JSON.stringify(chunk);
+        }
+        else {
+          chunk = JSON.stringify(chunk)+'\n';
+        }
+      } catch (e) {
+        _stopReading();
+        return _finish(e);
+      }
+      numItemsWritten++;
+
+      if (res.write(chunk)) {
+        return _writeNextItem();
+      }
+      return _waitForDrainThen(_writeNextItem);
+    }, function(err) {
+      return _finish(err);
+    })
+    .then(undefined, function(unexpectedErr) {
+      // If anything else went wrong (e.g. `res.write()` threw), bail rather than
+      // leaving the response (and this promise rejection) hanging.
+      _stopReading();
+      return _finish(unexpectedErr);
+    });//_∏_
+  })();
+
+};
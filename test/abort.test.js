@@ -0,0 +1,48 @@
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+var asAction = require('../');
+
+
+
+describe('when the requesting user agent disconnects before the action responds', function() {
+
+  it('should abort `env.abortSignal`, and skip the response', function(done) {
+
+    var wasSignalAbortedInFn;
+    var action = asAction({
+      fn: function(inputs, exits) {
+        var env = this;
+        // Simulate the user agent disconnecting.
+        env.req.emit('aborted');
+        setTimeout(function(){
+          wasSignalAbortedInFn = env.abortSignal.aborted;
+          return exits.success();
+        }, 10);
+      }
+    });
+
+    // Build a bare-bones request and response.
+    var req = new EventEmitter();
+    req.method = 'GET';
+    req.path = '/';
+    req.param = function() { return undefined; };
+    req.get = function() { return undefined; };
+
+    var res = new EventEmitter();
+    var didRespond = false;
+    res.json = res.send = res.sendStatus = res.end = function() { didRespond = true; return res; };
+    res.status = res.set = function() { return res; };
+
+    action(req, res);
+
+    setTimeout(function(){
+      try {
+        assert.strictEqual(wasSignalAbortedInFn, true);
+        assert.strictEqual(didRespond, false);
+      } catch (e) { return done(e); }
+      return done();
+    }, 50);
+
+  });
+
+});
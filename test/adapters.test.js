@@ -0,0 +1,157 @@
+var assert = require('assert');
+var asAction = require('../');
+var sendRequestsToServer = require('./util/send-requests-to-server.util');
+
+
+
+describe('with `adapter: \'http\'`', function() {
+
+  var action = asAction({
+    adapter: 'http',
+    inputs: {
+      name: { type: 'string', required: true },
+      age: { type: 'number', in: 'query' },
+      tenantId: { type: 'string', in: 'header', name: 'X-Tenant-Id' }
+    },
+    exits: {
+      success: { outputExample: { name: 'Tigger', age: 3, tenantId: 'acme' } }
+    },
+    fn: function(inputs, exits) {
+      return exits.success({ name: inputs.name, age: inputs.age, tenantId: inputs.tenantId });
+    }
+  });
+
+  it('should work with a bare Node.js HTTP server', function(done) {
+    sendRequestsToServer(action, {
+      method: 'POST',
+      path: '/pets?age=3',
+      headers: { 'content-type': 'application/json', 'x-tenant-id': 'acme' },
+      body: JSON.stringify({ name: 'Tigger' })
+    }, function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['x-exit'], 'success');
+        assert.deepEqual(JSON.parse(response.body), { name: 'Tigger', age: 3, tenantId: 'acme' });
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should respond w/ bad request error when a required param is missing', function(done) {
+    sendRequestsToServer(action, {
+      method: 'POST',
+      path: '/pets',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({})
+    }, function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 400);
+        assert.equal(JSON.parse(response.body).code, 'E_MISSING_OR_INVALID_PARAMS');
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should respond w/ 413 when the request body is too large', function(done) {
+    sendRequestsToServer(action, {
+      method: 'POST',
+      path: '/pets',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ name: new Array(2 * 1024 * 1024).join('a') })
+    }, function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 413);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should respond w/ 400 when the request body is not valid JSON', function(done) {
+    sendRequestsToServer(action, {
+      method: 'POST',
+      path: '/pets',
+      headers: { 'content-type': 'application/json' },
+      body: '{"name":'
+    }, function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 400);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should respond w/ 500 (rather than crashing) when handling the request throws', function(done) {
+    var throwingAction = asAction({
+      adapter: 'http',
+      rateLimit: { max: 10, windowMs: 60000, key: function() { throw new Error('Something unexpected happened.'); } },
+      exits: {},
+      fn: function(inputs, exits) {
+        return exits.success();
+      }
+    });
+
+    sendRequestsToServer(throwingAction, { method: 'GET', path: '/' }, function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 500);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+});
+
+
+
+describe('with `adapter: \'koa\'`', function() {
+
+  it('should work as Koa middleware', function(done) {
+    var middleware = asAction({
+      adapter: 'koa',
+      inputs: {
+        id: { type: 'number', required: true, in: 'path' }
+      },
+      exits: {
+        success: { responseType: 'redirect' }
+      },
+      fn: function(inputs, exits) {
+        return exits.success('/pets/'+inputs.id+'/profile');
+      }
+    });
+
+    var promise;
+    sendRequestsToServer(function(req, res) {
+      // Build a bare-bones Koa context.
+      var ctx = { req: req, res: res, request: {}, params: { id: '7' } };
+      promise = middleware(ctx);
+    }, {
+      method: 'GET',
+      path: '/pets/7'
+    }, function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 302);
+        assert.equal(response.headers.location, '/pets/7/profile');
+      } catch (e) { return done(e); }
+      promise.then(function() { done(); }, done);
+    });
+  });
+
+});
+
+
+
+describe('with an unknown `adapter`', function() {
+  it('should refuse to build the action', function() {
+    assert.throws(function() {
+      asAction({
+        adapter: 'carrier-pigeon',
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    });
+  });
+});
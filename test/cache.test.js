@@ -0,0 +1,177 @@
+var assert = require('assert');
+var asAction = require('../');
+var sendRequestsToServer = require('./util/send-requests-to-server.util');
+
+
+
+describe('with `cache`', function() {
+
+  afterEach(function() {
+    asAction.cache.clear();
+  });
+
+  it('should serve cache hits (for the same argins) w/o running the action', function(done) {
+    var numRuns = 0;
+    var action = asAction({
+      identity: 'get-product',
+      adapter: 'http',
+      cache: { ttl: 60000 },
+      inputs: {
+        id: { type: 'number', required: true }
+      },
+      exits: {
+        success: { outputExample: { id: 1, runNumber: 1 } }
+      },
+      fn: function(inputs, exits) {
+        numRuns++;
+        return exits.success({ id: inputs.id, runNumber: numRuns });
+      }
+    });
+
+    sendRequestsToServer(action, ['/?id=1', '/?id=1', '/?id=1.0', '/?id=2'], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(numRuns, 2);
+        assert.equal(responses[0].headers['x-cache'], 'MISS');
+        assert.deepEqual(JSON.parse(responses[0].body), { id: 1, runNumber: 1 });
+        assert.equal(responses[1].headers['x-cache'], 'HIT');
+        assert.equal(responses[1].headers['x-exit'], 'success');
+        assert.deepEqual(JSON.parse(responses[1].body), { id: 1, runNumber: 1 });
+        assert.equal(responses[2].headers['x-cache'], 'HIT');
+        assert.equal(responses[3].headers['x-cache'], 'MISS');
+        assert.deepEqual(JSON.parse(responses[3].body), { id: 2, runNumber: 2 });
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should only cache responses from the cacheable exits', function(done) {
+    var numRuns = 0;
+    var action = asAction({
+      identity: 'find-user',
+      adapter: 'http',
+      cache: { ttl: 60000, exits: ['success', 'notFound'] },
+      inputs: {
+        id: { type: 'number', required: true }
+      },
+      exits: {
+        notFound: { statusCode: 404 },
+        forbidden: { statusCode: 403 }
+      },
+      fn: function(inputs, exits) {
+        numRuns++;
+        if (inputs.id === 1) { return exits.notFound(); }
+        return exits.forbidden();
+      }
+    });
+
+    sendRequestsToServer(action, ['/?id=1', '/?id=1', '/?id=2', '/?id=2', '/'], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(responses[1].statusCode, 404);
+        assert.equal(responses[1].headers['x-cache'], 'HIT');
+        assert.equal(responses[3].statusCode, 403);
+        assert.equal(responses[3].headers['x-cache'], 'MISS');
+        assert.equal(responses[4].statusCode, 400);
+        assert.equal(numRuns, 3);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should vary by the specified headers', function(done) {
+    var numRuns = 0;
+    var action = asAction({
+      identity: 'greet',
+      adapter: 'http',
+      cache: { ttl: 60000, varyBy: ['header:accept-language'] },
+      fn: function(inputs, exits) {
+        numRuns++;
+        return exits.success(this.req.get('accept-language') === 'fr' ? 'Bonjour' : 'Hello');
+      }
+    });
+
+    sendRequestsToServer(action, [
+      { path: '/', headers: { 'accept-language': 'en' } },
+      { path: '/', headers: { 'accept-language': 'fr' } },
+      { path: '/', headers: { 'accept-language': 'fr' } }
+    ], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(numRuns, 2);
+        assert.equal(responses[1].body, 'Bonjour');
+        assert.equal(responses[2].body, 'Bonjour');
+        assert.equal(responses[2].headers['x-cache'], 'HIT');
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should forget cached responses once invalidated', function(done) {
+    var numRuns = 0;
+    var action = asAction({
+      identity: 'list-products',
+      adapter: 'http',
+      cache: { ttl: 60000 },
+      fn: function(inputs, exits) {
+        numRuns++;
+        return exits.success();
+      }
+    });
+
+    sendRequestsToServer(action, ['/', '/'], function(err) {
+      if (err) { return done(err); }
+      asAction.cache.invalidate('list-products');
+      sendRequestsToServer(action, ['/'], function(err, responses) {
+        if (err) { return done(err); }
+        try {
+          assert.equal(numRuns, 2);
+          assert.equal(responses[0].headers['x-cache'], 'MISS');
+        } catch (e) { return done(e); }
+        return done();
+      });
+    });
+  });
+
+  it('should keep each action\'s cached responses separate, even if they have the same identity', function(done) {
+    var firstAction = asAction({
+      adapter: 'http',
+      cache: { ttl: 60000 },
+      inputs: { id: { type: 'number', required: true } },
+      fn: function(inputs, exits) { return exits.success('first'); }
+    });
+    var secondAction = asAction({
+      adapter: 'http',
+      cache: { ttl: 60000 },
+      inputs: { id: { type: 'number', required: true } },
+      exits: { notFound: { statusCode: 404 } },
+      fn: function(inputs, exits) { return exits.notFound(); }
+    });
+
+    sendRequestsToServer(firstAction, ['/?id=1', '/?id=1'], function(err, firstResponses) {
+      if (err) { return done(err); }
+      sendRequestsToServer(secondAction, ['/?id=1'], function(err, secondResponses) {
+        if (err) { return done(err); }
+        try {
+          assert.equal(firstResponses[1].headers['x-cache'], 'HIT');
+          assert.equal(secondResponses[0].headers['x-cache'], 'MISS');
+          assert.equal(secondResponses[0].statusCode, 404);
+        } catch (e) { return done(e); }
+        return done();
+      });
+    });
+  });
+
+  it('should refuse to build the action if the option is invalid', function() {
+    assert.throws(function() {
+      asAction({ cache: { ttl: 0 }, fn: function(inputs, exits) { return exits.success(); } });
+    }, /ttl/);
+    assert.throws(function() {
+      asAction({ cache: { ttl: 1000, varyBy: ['cookie:sid'] }, fn: function(inputs, exits) { return exits.success(); } });
+    }, /varyBy/);
+    assert.throws(function() {
+      asAction({ cache: { ttl: 1000, exits: ['notFound'] }, fn: function(inputs, exits) { return exits.success(); } });
+    }, /exits/);
+  });
+
+});
@@ -0,0 +1,214 @@
+var assert = require('assert');
+var Stream = require('stream');
+var asAction = require('../');
+var sendRequestsToServer = require('./util/send-requests-to-server.util');
+
+
+
+describe('with `coalesce`', function() {
+
+  it('should run the machine once for concurrent requests w/ the same argins, and send its response to each of them', function(done) {
+    var numRuns = 0;
+    var action = asAction({
+      adapter: 'http',
+      coalesce: true,
+      inputs: {
+        page: { type: 'number', required: true }
+      },
+      exits: {
+        success: { outputExample: { page: 1, runNumber: 1 } }
+      },
+      fn: function(inputs, exits) {
+        numRuns++;
+        var runNumber = numRuns;
+        setTimeout(function() {
+          return exits.success({ page: inputs.page, runNumber: runNumber });
+        }, 100);
+      }
+    });
+
+    sendRequestsToServer(action, [
+      '/?page=1',
+      { path: '/?page=1', concurrent: true },
+      { path: '/?page=1.0', concurrent: true },
+      { path: '/?page=2', concurrent: true }
+    ], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(numRuns, 2);
+        assert.deepEqual(JSON.parse(responses[0].body), JSON.parse(responses[1].body));
+        assert.deepEqual(JSON.parse(responses[0].body), JSON.parse(responses[2].body));
+        assert.equal(JSON.parse(responses[3].body).page, 2);
+        assert.notEqual(JSON.parse(responses[3].body).runNumber, JSON.parse(responses[0].body).runNumber);
+        responses.forEach(function(response) {
+          assert.equal(response.statusCode, 200);
+          assert.equal(response.headers['x-exit'], 'success');
+        });
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should send responses from other exits to each request too', function(done) {
+    var numRuns = 0;
+    var action = asAction({
+      adapter: 'http',
+      coalesce: true,
+      exits: {
+        notFound: { statusCode: 404, outputExample: 'Not found.' }
+      },
+      fn: function(inputs, exits) {
+        numRuns++;
+        setTimeout(function() { return exits.notFound('Not found.'); }, 100);
+      }
+    });
+
+    sendRequestsToServer(action, ['/', { concurrent: true }, { concurrent: true }], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(numRuns, 1);
+        responses.forEach(function(response) {
+          assert.equal(response.statusCode, 404);
+          assert.equal(response.body, 'Not found.');
+        });
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should run the machine again for requests that arrive after it has responded', function(done) {
+    var numRuns = 0;
+    var action = asAction({
+      adapter: 'http',
+      coalesce: true,
+      fn: function(inputs, exits) {
+        numRuns++;
+        return exits.success();
+      }
+    });
+
+    sendRequestsToServer(action, '/', function(err) {
+      if (err) { return done(err); }
+      sendRequestsToServer(action, '/', function(err) {
+        if (err) { return done(err); }
+        try {
+          assert.equal(numRuns, 2);
+        } catch (e) { return done(e); }
+        return done();
+      });
+    });
+  });
+
+  it('should keep sharing a run (rather than running the machine again) after one of the requests sharing it times out', function(done) {
+    var numRuns = 0;
+    var wasAborted = false;
+    var action = asAction({
+      adapter: 'http',
+      coalesce: true,
+      timeout: 200,
+      machine: {
+        fn: function(inputs, exits) {
+          numRuns++;
+          var runNumber = numRuns;
+          this.abortSignal.addEventListener('abort', function() { wasAborted = true; });
+          setTimeout(function() { return exits.success('Run #'+runNumber); }, 300);
+        }
+      }
+    });
+
+    // The first request times out at ~200ms, while the second (sent at ~150ms) and third
+    // (sent at ~250ms) are still waiting for the run to finish at ~300ms.
+    var responses = [];
+    var numResponses = 0;
+    var _sendRequestAfter = function(delay, i) {
+      setTimeout(function() {
+        sendRequestsToServer(action, '/', function(err, response) {
+          if (err) { return done(err); }
+          responses[i] = response;
+          numResponses++;
+          if (numResponses < 3) { return; }
+          try {
+            assert.equal(numRuns, 1);
+            assert.equal(wasAborted, false);
+            assert.equal(responses[0].statusCode, 503);
+            assert.equal(responses[1].statusCode, 200);
+            assert.equal(responses[1].body, 'Run #1');
+            assert.equal(responses[2].statusCode, 200);
+            assert.equal(responses[2].body, 'Run #1');
+          } catch (e) { return done(e); }
+          return done();
+        });
+      }, delay);
+    };//ƒ
+    _sendRequestAfter(0, 0);
+    _sendRequestAfter(150, 1);
+    _sendRequestAfter(250, 2);
+  });
+
+  it('should abort the run once every request sharing it has timed out', function(done) {
+    var numRuns = 0;
+    var wasAborted = false;
+    var action = asAction({
+      adapter: 'http',
+      coalesce: true,
+      timeout: 50,
+      machine: {
+        fn: function(inputs, exits) {
+          numRuns++;
+          this.abortSignal.addEventListener('abort', function() { wasAborted = true; });
+          setTimeout(function() { return exits.success(); }, 200);
+        }
+      }
+    });
+
+    sendRequestsToServer(action, ['/', { concurrent: true }], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(numRuns, 1);
+        assert.equal(responses[0].statusCode, 503);
+        assert.equal(responses[1].statusCode, 503);
+        assert(wasAborted);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should only send a stream to the request that ran the machine (and an error to the others), even if the exit has no output declaration', function(done) {
+    var numRuns = 0;
+    var action = asAction({
+      adapter: 'http',
+      coalesce: true,
+      fn: function(inputs, exits) {
+        numRuns++;
+        setTimeout(function() {
+          var stream = new Stream.Readable({ read: function() {} });
+          exits.success(stream);
+          stream.push('Hello.');
+          stream.push(null);
+        }, 100);
+      }
+    });
+
+    sendRequestsToServer(action, ['/', { concurrent: true }], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(numRuns, 1);
+        assert.equal(responses[0].statusCode, 200);
+        assert.equal(responses[0].body, 'Hello.');
+        assert.equal(responses[1].statusCode, 500);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should refuse to build the action if one of its exits might send a stream', function() {
+    assert.throws(function() {
+      asAction({
+        coalesce: true,
+        exits: { success: { outputExample: '===' } },
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, /`success` exit might send a stream/);
+  });
+
+});
@@ -0,0 +1,131 @@
+var assert = require('assert');
+var testRoute = require('./util/test-route.util');
+
+
+
+testRoute('with `etag`, should send a strong ETag along w/ the response body', {
+
+  etag: true,
+
+  _testOpts: {
+    routeAddress: 'GET /pet',
+    method: 'GET',
+    path: '/pet',
+    headers: {
+      'if-none-match': '"some-stale-etag"'
+    }
+  },
+
+  exits: {
+    success: { outputExample: { name: 'Tigger' } }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger' });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.equal(resp.statusCode, 200);
+    assert(resp.headers.etag.match(/^"[^"]+"$/));
+    assert.deepEqual(body, { name: 'Tigger' });
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `etag`, should respond w/ 304 if `If-None-Match` matches', {
+
+  etag: true,
+
+  _testOpts: {
+    routeAddress: 'GET /pet',
+    method: 'GET',
+    path: '/pet',
+    headers: {
+      'if-none-match': '*'
+    }
+  },
+
+  exits: {
+    success: { outputExample: { name: 'Tigger' } }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger' });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.equal(resp.statusCode, 304);
+    assert(!body);
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `lastModified`, should respond w/ 304 if `If-Modified-Since` is at least as recent', {
+
+  lastModified: 'updatedAt',
+
+  _testOpts: {
+    routeAddress: 'GET /pet',
+    method: 'GET',
+    path: '/pet',
+    headers: {
+      'if-modified-since': new Date(1600000000000).toUTCString()
+    }
+  },
+
+  exits: {
+    success: { outputExample: { name: 'Tigger', updatedAt: 1500000000000 } }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger', updatedAt: 1500000000000 });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.equal(resp.statusCode, 304);
+    assert.equal(resp.headers['last-modified'], new Date(1500000000000).toUTCString());
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `etag`, should not respond w/ 304 for a POST request', {
+
+  etag: true,
+
+  _testOpts: {
+    routeAddress: 'POST /pet',
+    method: 'POST',
+    path: '/pet',
+    headers: {
+      'if-none-match': '*'
+    }
+  },
+
+  exits: {
+    success: { outputExample: { name: 'Tigger' } }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger' });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.equal(resp.statusCode, 200);
+    assert(!resp.headers.etag);
+  } catch (e) { return done(e); }
+  return done();
+});
@@ -0,0 +1,144 @@
+var assert = require('assert');
+var asAction = require('../');
+var testRoute = require('./util/test-route.util');
+
+
+
+var REPRESENTATIONS = {
+  'application/json': {},
+  'text/plain': {},
+  'application/xml': {
+    serialize: function(output) { return '<pet><name>'+output.name+'</name></pet>'; }
+  }
+};
+
+
+
+testRoute('with `representations`, should send the representation preferred by the `Accept` header', {
+
+  _testOpts: {
+    routeAddress: 'GET /pet',
+    method: 'GET',
+    path: '/pet',
+    headers: {
+      accept: 'text/html;q=0.9, application/xml, application/json;q=0.5'
+    }
+  },
+
+  exits: {
+    success: { outputExample: { name: 'Tigger' }, representations: REPRESENTATIONS }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger' });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.equal(body, '<pet><name>Tigger</name></pet>');
+    assert(resp.headers['content-type'].match(/application\/xml/));
+    assert.equal(resp.headers.vary, 'Accept');
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `representations`, should match wildcards in the `Accept` header', {
+
+  _testOpts: {
+    routeAddress: 'GET /pet',
+    method: 'GET',
+    path: '/pet',
+    headers: {
+      accept: 'text/*'
+    }
+  },
+
+  exits: {
+    success: { outputExample: { name: 'Tigger' }, representations: REPRESENTATIONS }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger' });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.equal(body, '{"name":"Tigger"}');
+    assert(resp.headers['content-type'].match(/text\/plain/));
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `representations`, should respond w/ 406 if none of them are acceptable', {
+
+  _testOpts: {
+    routeAddress: 'GET /pet',
+    method: 'GET',
+    path: '/pet',
+    headers: {
+      accept: 'image/png, application/json;q=0'
+    }
+  },
+
+  exits: {
+    success: { outputExample: { name: 'Tigger' }, representations: REPRESENTATIONS }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger' });
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 406 error!  Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 406);
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `representations`, should use the first one if there is no `Accept` header', {
+
+  _testOpts: {
+    routeAddress: 'GET /pet',
+    method: 'GET',
+    path: '/pet'
+  },
+
+  exits: {
+    success: { outputExample: { name: 'Tigger' }, representations: REPRESENTATIONS }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger' });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.deepEqual(body, { name: 'Tigger' });
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+describe('with `representations` that include an unknown media type without a `serialize` function', function() {
+  it('should refuse to build the action', function() {
+    assert.throws(function() {
+      asAction({
+        exits: {
+          success: { representations: { 'application/xml': {} } }
+        },
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, function(err) { return err.code === 'E_INVALID_RES_METADATA_IN_EXIT_DEF'; });
+  });
+});
@@ -0,0 +1,117 @@
+var assert = require('assert');
+var asAction = require('../');
+var testRoute = require('./util/test-route.util');
+
+
+
+testRoute('with `like` in the success exit, output should be sent as usual', {
+
+  _testOpts: {
+    routeAddress: 'POST /something',
+    method: 'POST',
+    path: '/something',
+    params: {
+      pet: { name: 'Tigger', age: 3 }
+    }
+  },
+
+  inputs: {
+    pet: { type: { name: 'string', age: 'number' }, required: true }
+  },
+
+  exits: {
+    success: { like: 'pet' }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success(inputs.pet);
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.deepEqual(body, { name: 'Tigger', age: 3 });
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `itemOf` in the success exit, output should be sent as usual', {
+
+  _testOpts: {
+    routeAddress: 'POST /something',
+    method: 'POST',
+    path: '/something',
+    params: {
+      names: ['Tigger', 'Pooh']
+    }
+  },
+
+  inputs: {
+    names: { type: ['string'], required: true }
+  },
+
+  exits: {
+    success: { itemOf: 'names' }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success(inputs.names[1]);
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.equal(body, 'Pooh');
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `getExample` in a view exit, output should be checked at runtime and used as view locals', {
+
+  _testOpts: {
+    routeAddress: 'GET /something',
+    method: 'GET',
+    path: '/something'
+  },
+
+  exits: {
+    success: {
+      responseType: 'view',
+      viewTemplatePath: 'homepage',
+      getExample: function() { return 'not a dictionary'; }
+    }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success('not a dictionary');
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a server error!  Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 500);
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+describe('with `like` in a redirect exit that refers to an input that expects a dictionary', function() {
+  it('should refuse to build the action', function() {
+    assert.throws(function() {
+      asAction({
+        inputs: {
+          stuff: { type: {} }
+        },
+        exits: {
+          success: { responseType: 'redirect', like: 'stuff' }
+        },
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, function(err) { return err.code === 'E_INVALID_RES_METADATA_IN_EXIT_DEF'; });
+  });
+});
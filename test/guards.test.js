@@ -0,0 +1,151 @@
+var assert = require('assert');
+var asAction = require('../');
+var testRoute = require('./util/test-route.util');
+
+
+
+var IS_LOGGED_IN = {
+  identity: 'is-logged-in',
+  exits: {
+    notLoggedIn: { statusCode: 401, description: 'The requesting user is not logged in.' }
+  },
+  fn: function(inputs, exits) {
+    if (!this.req.headers['x-user-id']) { return exits.notLoggedIn(); }
+    return exits.success({ me: { id: this.req.headers['x-user-id'] } });
+  }
+};
+
+var OWNS_PET = {
+  identity: 'owns-pet',
+  inputs: {
+    petId: { type: 'number', required: true }
+  },
+  exits: {
+    forbidden: { statusCode: 403, outputExample: 'Not your pet' }
+  },
+  fn: function(inputs, exits) {
+    if (inputs.petId !== 7 || this.me.id !== '1') { return exits.forbidden('Not your pet'); }
+    return exits.success();
+  }
+};
+
+
+
+testRoute('with `guards`, the action should run once every guard exits `success` (w/ their output merged into `env`)', {
+
+  _testOpts: {
+    routeAddress: 'GET /pets/:petId',
+    method: 'GET',
+    path: '/pets/7',
+    headers: { 'x-user-id': '1' }
+  },
+
+  guards: [IS_LOGGED_IN, OWNS_PET],
+
+  inputs: {
+    petId: { type: 'number', required: true }
+  },
+
+  exits: {
+    success: { outputExample: { petId: 7, ownerId: '1' } }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ petId: inputs.petId, ownerId: this.me.id });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.deepEqual(body, { petId: 7, ownerId: '1' });
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `guards`, the action should respond through a guard\'s exit (w/o running the action) if that guard doesn\'t exit `success`', {
+
+  _testOpts: {
+    routeAddress: 'GET /pets/:petId',
+    method: 'GET',
+    path: '/pets/7',
+    headers: {}
+  },
+
+  guards: [IS_LOGGED_IN, OWNS_PET],
+
+  inputs: {
+    petId: { type: 'number', required: true }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.error(new Error('Should not have run the action!'));
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 401 error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 401);
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `guards`, a later guard\'s exit should respond using its response directives', {
+
+  _testOpts: {
+    routeAddress: 'GET /pets/:petId',
+    method: 'GET',
+    path: '/pets/8',
+    headers: { 'x-user-id': '1' }
+  },
+
+  guards: [IS_LOGGED_IN, OWNS_PET],
+
+  inputs: {
+    petId: { type: 'number', required: true }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.error(new Error('Should not have run the action!'));
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 403 error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 403);
+    assert.equal(err.body, 'Not your pet');
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+describe('with `guards`', function() {
+
+  it('should include the guards (and their exits) in `action.toJSON()`', function() {
+    var action = asAction({
+      guards: [IS_LOGGED_IN, OWNS_PET],
+      inputs: {
+        petId: { type: 'number', required: true }
+      },
+      fn: function(inputs, exits) { return exits.success(); }
+    });
+    var json = action.toJSON();
+    assert.deepEqual(json.guards, ['is-logged-in', 'owns-pet']);
+    assert.equal(json.exits.notLoggedIn.statusCode, 401);
+    assert.equal(json.exits.forbidden.statusCode, 403);
+  });
+
+  it('should refuse to build the action if a guard declares an input that the action doesn\'t have', function() {
+    assert.throws(function() {
+      asAction({
+        guards: [OWNS_PET],
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, /petId/);
+  });
+
+});
@@ -0,0 +1,210 @@
+var assert = require('assert');
+var asAction = require('../');
+var buildMemoryIdempotencyStore = require('../lib/private/build-memory-idempotency-store');
+var sendRequestsToServer = require('./util/send-requests-to-server.util');
+
+
+
+describe('with `idempotent`', function() {
+
+  var numRuns;
+  var action;
+  beforeEach(function() {
+    numRuns = 0;
+    action = asAction({
+      adapter: 'http',
+      idempotent: true,
+      inputs: {
+        amount: { type: 'number', required: true }
+      },
+      exits: {
+        success: { outputExample: { id: 123, amount: 123 } },
+        declined: { statusCode: 402, outputExample: 'Card declined.' }
+      },
+      fn: function(inputs, exits) {
+        numRuns++;
+        var runNumber = numRuns;
+        setTimeout(function() {
+          if (inputs.amount > 1000) { return exits.declined('Card declined.'); }
+          return exits.success({ id: runNumber, amount: inputs.amount });
+        }, 100);
+      }
+    });
+  });
+
+  it('should replay the saved response (w/o running the action again) for retries w/ the same key', function(done) {
+    sendRequestsToServer(action, [
+      { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: { amount: 10 } },
+      { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: { amount: 10 } },
+      { method: 'POST', headers: { 'idempotency-key': 'def' }, body: { amount: 10 } }
+    ], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(numRuns, 2);
+        assert.equal(responses[0].statusCode, 200);
+        assert.deepEqual(JSON.parse(responses[0].body), { id: 1, amount: 10 });
+        assert.equal(responses[0].headers['idempotent-replayed'], undefined);
+        assert.equal(responses[1].statusCode, 200);
+        assert.deepEqual(JSON.parse(responses[1].body), { id: 1, amount: 10 });
+        assert.equal(responses[1].headers['idempotent-replayed'], 'true');
+        assert.equal(responses[1].headers['x-exit'], 'success');
+        assert.deepEqual(JSON.parse(responses[2].body), { id: 2, amount: 10 });
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should replay responses from other exits too', function(done) {
+    sendRequestsToServer(action, [
+      { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: { amount: 5000 } },
+      { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: { amount: 5000 } }
+    ], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(numRuns, 1);
+        assert.equal(responses[1].statusCode, 402);
+        assert.equal(responses[1].headers['x-exit'], 'declined');
+        assert.equal(responses[1].body, responses[0].body);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should respond w/ a 422 if the key is reused w/ different argins', function(done) {
+    sendRequestsToServer(action, [
+      { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: { amount: 10 } },
+      { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: { amount: 20 } }
+    ], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(numRuns, 1);
+        assert.equal(responses[1].statusCode, 422);
+        assert(responses[1].body.match(/already used/));
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should respond w/ a 409 if the original request is still in progress', function(done) {
+    sendRequestsToServer(action, [
+      { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: { amount: 10 } },
+      { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: { amount: 10 }, concurrent: true }
+    ], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(numRuns, 1);
+        assert.equal(responses[0].statusCode, 200);
+        assert.equal(responses[1].statusCode, 409);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should run the action again for a retry w/ the same key if the original request was aborted', function(done) {
+    sendRequestsToServer(action, { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: { amount: 10 }, disconnectAfter: 30 }, function(err) {
+      if (err) { return done(err); }
+      // (Wait for the original run to finish, so that it has a chance to (wrongly) save its response.)
+      setTimeout(function() {
+        sendRequestsToServer(action, { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: { amount: 10 } }, function(err, response) {
+          if (err) { return done(err); }
+          try {
+            assert.equal(numRuns, 2);
+            assert.equal(response.statusCode, 200);
+            assert.equal(response.headers['idempotent-replayed'], undefined);
+            assert.deepEqual(JSON.parse(response.body), { id: 2, amount: 10 });
+          } catch (e) { return done(e); }
+          return done();
+        });
+      }, 150);
+    });
+  });
+
+  it('should not save validation errors, and should ignore requests w/o a key (or w/ other methods)', function(done) {
+    sendRequestsToServer(action, [
+      { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: {} },
+      { method: 'POST', headers: { 'idempotency-key': 'abc' }, body: { amount: 10 } },
+      { method: 'POST', body: { amount: 10 } },
+      { method: 'POST', body: { amount: 10 } },
+      { method: 'PUT', headers: { 'idempotency-key': 'xyz' }, body: { amount: 10 } },
+      { method: 'PUT', headers: { 'idempotency-key': 'xyz' }, body: { amount: 10 } }
+    ], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(responses[0].statusCode, 400);
+        assert.equal(responses[1].statusCode, 200);
+        assert.equal(numRuns, 5);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should use a custom store, if provided', function(done) {
+    var store = buildMemoryIdempotencyStore();
+    var customAction = asAction({
+      adapter: 'http',
+      idempotent: { store: store, ttlMs: 60000 },
+      fn: function(inputs, exits) { return exits.success('ok'); }
+    });
+    sendRequestsToServer(customAction, [
+      { method: 'POST', headers: { 'idempotency-key': 'abc' } }
+    ], function(err) {
+      if (err) { return done(err); }
+      store.add('anonymous-action:abc', { status: 'inFlight' }, 60000, function(err, existingRecord) {
+        if (err) { return done(err); }
+        try {
+          assert.equal(existingRecord.status, 'completed');
+          assert.equal(existingRecord.response.exitCodeName, 'success');
+          assert.equal(existingRecord.response.body, 'ok');
+        } catch (e) { return done(e); }
+        return done();
+      });
+    });
+  });
+
+  it('should replay the saved status code and headers, even if the exit would respond differently now', function(done) {
+    var store = buildMemoryIdempotencyStore();
+    var originalAction = asAction({
+      adapter: 'http',
+      idempotent: { store: store, ttlMs: 60000 },
+      exits: { success: { statusCode: 201, outputExample: 'Charged.' } },
+      fn: function(inputs, exits) {
+        numRuns++;
+        this.res.set('X-Receipt-Id', '42');
+        return exits.success('Charged.');
+      }
+    });
+    // (e.g. the same action, after being changed to respond w/ a 200 instead)
+    var changedAction = asAction({
+      adapter: 'http',
+      idempotent: { store: store, ttlMs: 60000 },
+      exits: { success: { outputExample: 'Charged.' } },
+      fn: function(inputs, exits) { numRuns++; return exits.success('Charged.'); }
+    });
+
+    sendRequestsToServer(originalAction, [{ method: 'POST', headers: { 'idempotency-key': 'abc' } }], function(err, originalResponses) {
+      if (err) { return done(err); }
+      sendRequestsToServer(changedAction, [{ method: 'POST', headers: { 'idempotency-key': 'abc' } }], function(err, responses) {
+        if (err) { return done(err); }
+        try {
+          assert.equal(originalResponses[0].statusCode, 201);
+          assert.equal(numRuns, 1);
+          assert.equal(responses[0].statusCode, 201);
+          assert.equal(responses[0].headers['x-receipt-id'], '42');
+          assert.equal(responses[0].headers['idempotent-replayed'], 'true');
+          assert.equal(responses[0].body, 'Charged.');
+        } catch (e) { return done(e); }
+        return done();
+      });
+    });
+  });
+
+  it('should throw if the option is invalid', function() {
+    assert.throws(function() {
+      asAction({ idempotent: { ttlMs: -1 }, fn: function(inputs, exits) { return exits.success(); } });
+    }, /idempotent/);
+    assert.throws(function() {
+      asAction({ idempotent: { store: {} }, fn: function(inputs, exits) { return exits.success(); } });
+    }, /idempotent/);
+  });
+
+});
@@ -0,0 +1,97 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var buildInputProblems = require('../lib/private/build-input-problems');
+var testRoute = require('./util/test-route.util');
+
+
+
+testRoute('when params are missing or invalid, the 400 response should include structured, per-input problems', {
+
+  _testOpts: {
+    routeAddress: 'POST /users',
+    method: 'POST',
+    path: '/users',
+    params: {
+      age: 'three',
+      password: 12,
+      email: 'not an email'
+    }
+  },
+
+  inputs: {
+    name: { type: 'string', required: true },
+    age: { type: 'number' },
+    password: { type: 'boolean', sensitive: true },
+    email: { type: 'string', isEmail: true },
+    apiKey: { type: 'string', in: 'header', name: 'x-api-key', required: true }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success();
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 400 error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 400);
+    // The original problem messages are still there.
+    assert(_.isArray(err.body.problems));
+    assert.equal(err.body.inputProblems.length, err.body.problems.length);
+
+    var byInput = _.indexBy(err.body.inputProblems, 'input');
+    assert.deepEqual(_.omit(byInput.name, 'message'), {
+      input: 'name',
+      parameter: { in: 'body', name: 'name' },
+      expected: 'string',
+      reason: 'missing'
+    });
+    assert.equal(byInput.age.reason, 'wrongType');
+    assert.equal(byInput.age.expected, 'number');
+    assert.equal(byInput.age.received, 'three');
+    assert.equal(byInput.password.reason, 'wrongType');
+    assert.equal(byInput.password.received, '[REDACTED]');
+    assert.equal(byInput.email.reason, 'failedCustomValidation');
+    assert.deepEqual(byInput.apiKey.parameter, { in: 'header', name: 'x-api-key' });
+    assert.equal(byInput.apiKey.reason, 'missing');
+    _.each(err.body.inputProblems, function(inputProblem) {
+      assert(_.contains(err.body.problems, inputProblem.message));
+    });
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+describe('buildInputProblems()', function() {
+
+  it('should leave out problems that can\'t be parsed, or that aren\'t about one of the inputs', function() {
+    var inputProblems = buildInputProblems({
+      problems: [
+        'Something unexpected happened w/ "name".',
+        '"nmae" is required, but it was not defined.',
+        '"name" is required, but it was not defined.'
+      ],
+      inputs: { name: { type: 'string', required: true } },
+      argins: {},
+      req: { method: 'POST', params: {}, body: {}, query: {} }
+    });
+    assert.equal(inputProblems.length, 1);
+    assert.equal(inputProblems[0].input, 'name');
+    assert.equal(inputProblems[0].reason, 'missing');
+    assert.equal(inputProblems[0].message, '"name" is required, but it was not defined.');
+  });
+
+  it('should use the input of a misplaced param as-is, w/o parsing its problem', function() {
+    var inputProblems = buildInputProblems({
+      problems: ['This came from the wrong place.'],
+      inputs: { apiKey: { type: 'string', in: 'header', name: 'x-api-key' } },
+      argins: {},
+      req: { method: 'GET', params: {}, body: {}, query: { apiKey: 'abc' } },
+      misplacedParams: [{ input: 'apiKey', problem: 'This came from the wrong place.' }]
+    });
+    assert.equal(inputProblems.length, 1);
+    assert.equal(inputProblems[0].input, 'apiKey');
+    assert.equal(inputProblems[0].reason, 'misplaced');
+  });
+
+});
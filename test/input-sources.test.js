@@ -0,0 +1,176 @@
+var assert = require('assert');
+var asAction = require('../');
+var testRoute = require('./util/test-route.util');
+
+
+
+testRoute('with `in: \'header\'`, input should be sourced from the request header', {
+
+  _testOpts: {
+    routeAddress: 'GET /something',
+    method: 'GET',
+    path: '/something',
+    headers: {
+      'x-tenant-id': 'acme',
+      'x-api-version': '3'
+    }
+  },
+
+  inputs: {
+    tenantId: { type: 'string', required: true, in: 'header', name: 'X-Tenant-Id' },
+    apiVersion: { type: 'number', in: 'header', name: 'X-Api-Version' }
+  },
+
+  exits: {
+    success: { outputExample: {} }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ tenantId: inputs.tenantId, apiVersion: inputs.apiVersion });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.deepEqual(body, { tenantId: 'acme', apiVersion: 3 });
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `in: \'header\'`, a missing required header should respond w/ bad request error', {
+
+  _testOpts: {
+    routeAddress: 'GET /something',
+    method: 'GET',
+    path: '/something'
+  },
+
+  inputs: {
+    tenantId: { type: 'string', required: true, in: 'header', name: 'X-Tenant-Id' }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success();
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a bad request error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 400);
+    assert.equal(err.body.code, 'E_MISSING_OR_INVALID_PARAMS');
+    assert.equal(err.body.problems.length, 1);
+    assert(err.body.problems[0].match(/required/));
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+describe('with `in: \'header\'` on an input that expects a dictionary', function() {
+  it('should refuse to build the action', function() {
+    assert.throws(function() {
+      asAction({
+        inputs: {
+          stuff: { type: {}, in: 'header', name: 'X-Stuff' }
+        },
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, function(err) { return err.code === 'E_INVALID_PARAM_METADATA_IN_INPUT_DEF'; });
+  });
+});
+
+
+
+testRoute('with `in: \'path\'`, input should be sourced from the URL pattern variable', {
+
+  _testOpts: {
+    routeAddress: 'GET /things/:id',
+    method: 'GET',
+    path: '/things/7'
+  },
+
+  inputs: {
+    id: { type: 'number', required: true, in: 'path' }
+  },
+
+  exits: {
+    success: { outputExample: 123 }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success(inputs.id);
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.equal(body, 7);
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `in: \'path\'`, a request body param trying to shadow the URL pattern variable should respond w/ bad request error', {
+
+  _testOpts: {
+    routeAddress: 'POST /things/:id',
+    method: 'POST',
+    path: '/things/7',
+    params: {
+      id: 8
+    }
+  },
+
+  inputs: {
+    id: { type: 'number', required: true, in: 'path' }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success();
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a bad request error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 400);
+    assert.equal(err.body.code, 'E_MISSING_OR_INVALID_PARAMS');
+    assert(err.body.problems[0].match(/request body/));
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `in: \'query\'`, input should be sourced from the querystring (even for virtual requests)', {
+
+  _testOpts: {
+    routeAddress: 'GET /things',
+    method: 'GET',
+    path: '/things',
+    params: {
+      sort: 'name'
+    }
+  },
+
+  inputs: {
+    sort: { type: 'string', in: 'query' }
+  },
+
+  exits: {
+    success: { outputExample: 'name' }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success(inputs.sort);
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.equal(body, 'name');
+  } catch (e) { return done(e); }
+  return done();
+});
@@ -0,0 +1,89 @@
+var assert = require('assert');
+var asAction = require('../');
+var testRoute = require('./util/test-route.util');
+
+
+
+testRoute('with `onInvalidParams`, it should decide how to respond to missing or invalid params', {
+
+  _testOpts: {
+    routeAddress: 'POST /pets',
+    method: 'POST',
+    path: '/pets',
+    params: {
+      age: 'three'
+    }
+  },
+
+  inputs: {
+    name: { type: 'string', required: true },
+    age: { type: 'number' }
+  },
+
+  onInvalidParams: function(report, req, res) {
+    return res.status(422).json({
+      errors: report.invalidParams,
+      sent: report.argins
+    });
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success();
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 422 error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 422);
+    assert.deepEqual(Object.keys(err.body.errors).sort(), ['age', 'name']);
+    assert.equal(err.body.errors.age.length, 1);
+    assert.equal(err.body.sent.age, 'three');
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with an `invalidParamsResponse` w/ a `statusCode`, it should respond w/ that status code', {
+
+  _testOpts: {
+    routeAddress: 'POST /pets',
+    method: 'POST',
+    path: '/pets',
+    params: {
+      age: 'three'
+    }
+  },
+
+  inputs: {
+    name: { type: 'string', required: true },
+    age: { type: 'number' }
+  },
+
+  invalidParamsResponse: { responseType: '', statusCode: 422 },
+
+  fn: function(inputs, exits) {
+    return exits.success();
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 422 error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 422);
+    assert.equal(err.body.code, 'E_MISSING_OR_INVALID_PARAMS');
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+describe('with an `invalidParamsResponse` that renders a view, but has no `viewTemplatePath`', function() {
+  it('should refuse to build the action', function() {
+    assert.throws(function() {
+      asAction({
+        invalidParamsResponse: { responseType: 'view' },
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, /viewTemplatePath/);
+  });
+});
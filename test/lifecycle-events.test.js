@@ -0,0 +1,177 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var asAction = require('../');
+var sendRequestsToServer = require('./util/send-requests-to-server.util');
+
+
+
+describe('lifecycle events', function() {
+
+  var EVENT_NAMES = ['request', 'argins', 'start', 'exit', 'response', 'doubleExit', 'responseError'];
+  var emittedEvents;
+  var listeners;
+
+  beforeEach(function() {
+    emittedEvents = [];
+    listeners = {};
+    _.each(EVENT_NAMES, function(eventName) {
+      listeners[eventName] = function(event) {
+        if (event.identity !== 'lifecycle-test') { return; }
+        emittedEvents.push({ name: eventName, event: event });
+      };
+      asAction.events.on(eventName, listeners[eventName]);
+    });
+  });
+
+  afterEach(function() {
+    _.each(listeners, function(listener, eventName) {
+      asAction.events.removeListener(eventName, listener);
+    });
+  });
+
+  it('should be emitted globally (and to the per-action hooks) as an action handles a request', function(done) {
+    var hookedEvents = [];
+    var action = asAction({
+      identity: 'lifecycle-test',
+      adapter: 'http',
+      inputs: {
+        name: { type: 'string' }
+      },
+      exits: {
+        notFound: { statusCode: 404 }
+      },
+      onRequest: function(event) { hookedEvents.push('request:'+event.identity); },
+      onExit: function(event) { hookedEvents.push('exit:'+event.exitCodeName); },
+      fn: function(inputs, exits) {
+        return exits.notFound();
+      }
+    });
+
+    sendRequestsToServer(action, '/?name=Tigger', function(err, response) {
+      if (err) { return done(err); }
+      // (Give the `finish` event a chance to fire on the server side.)
+      setImmediate(function() {
+        try {
+          assert.equal(response.statusCode, 404);
+          assert.deepEqual(_.pluck(emittedEvents, 'name'), ['request', 'argins', 'start', 'exit', 'response']);
+          var eventsByName = _.indexBy(emittedEvents, 'name');
+          assert.deepEqual(eventsByName.argins.event.argins, { name: 'Tigger' });
+          assert.equal(eventsByName.exit.event.exitCodeName, 'notFound');
+          assert.equal(eventsByName.exit.event.statusCode, 404);
+          assert(_.isNumber(eventsByName.exit.event.duration));
+          assert.equal(eventsByName.response.event.exitCodeName, 'notFound');
+          assert.equal(eventsByName.response.event.statusCode, 404);
+          assert.deepEqual(hookedEvents, ['request:lifecycle-test', 'exit:notFound']);
+        } catch (e) { return done(e); }
+        return done();
+      });
+    });
+  });
+
+  it('should emit a `doubleExit` event (instead of logging a warning) if an exit is called after the action timed out', function(done) {
+    var action = asAction({
+      adapter: 'http',
+      timeout: 20,
+      timeoutExit: 'tookTooLong',
+      machine: {
+        identity: 'lifecycle-test',
+        exits: {
+          tookTooLong: { statusCode: 503 }
+        },
+        fn: function(inputs, exits) {
+          setTimeout(function() {
+            return exits.success();
+          }, 50);
+        }
+      }
+    });
+
+    sendRequestsToServer(action, '/', function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 503);
+      } catch (e) { return done(e); }
+      setTimeout(function() {
+        try {
+          var doubleExitEvent = _.find(emittedEvents, { name: 'doubleExit' }).event;
+          assert.equal(doubleExitEvent.exitCodeName, 'success');
+          assert.deepEqual(doubleExitEvent.exitAttempts, ['tookTooLong']);
+          assert.equal(doubleExitEvent.afterTimeout, true);
+        } catch (e) { return done(e); }
+        return done();
+      }, 60);
+    });
+  });
+
+  it('should flag validation errors in `exit` events', function(done) {
+    var action = asAction({
+      identity: 'lifecycle-test',
+      adapter: 'http',
+      inputs: {
+        age: { type: 'number', required: true }
+      },
+      fn: function(inputs, exits) { return exits.success(); }
+    });
+
+    sendRequestsToServer(action, '/?age=old', function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 400);
+        var exitEvent = _.find(emittedEvents, { name: 'exit' }).event;
+        assert.equal(exitEvent.exitCodeName, 'error');
+        assert.equal(exitEvent.isValidationError, true);
+        assert.equal(exitEvent.statusCode, 400);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should still call the other listeners (and the per-action hook) if a global listener throws', function(done) {
+    var exitHookEvents = [];
+    var throwingListener = function() { throw new Error('Something unexpected happened.'); };
+    asAction.events.prependListener('exit', throwingListener);
+    var action = asAction({
+      identity: 'lifecycle-test',
+      adapter: 'http',
+      onExit: function(event) { exitHookEvents.push(event); },
+      fn: function(inputs, exits) { return exits.success(); }
+    });
+
+    sendRequestsToServer(action, '/', function(err, response) {
+      asAction.events.removeListener('exit', throwingListener);
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 200);
+        assert.equal(exitHookEvents.length, 1);
+        assert.equal(_.where(emittedEvents, { name: 'exit' }).length, 1);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should call `onResponseError` if an error occurs while responding', function(done) {
+    var responseErrors = [];
+    var action = asAction({
+      identity: 'lifecycle-test',
+      adapter: 'http',
+      exits: {
+        success: { responseType: 'view', viewTemplatePath: 'homepage' }
+      },
+      onResponseError: function(event) { responseErrors.push(event); },
+      fn: function(inputs, exits) { return exits.success({}); }
+    });
+
+    sendRequestsToServer(action, '/', function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 500);
+        assert.equal(responseErrors.length, 1);
+        assert.equal(responseErrors[0].exitCodeName, 'success');
+        assert(_.isError(responseErrors[0].error));
+        assert(responseErrors[0].error.message.match(/res\.view/));
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+});
@@ -0,0 +1,155 @@
+var assert = require('assert');
+var _ = require('@sailshq/lodash');
+var asAction = require('../');
+var testRoute = require('./util/test-route.util');
+var buildTranslator = require('../lib/private/build-translator');
+var normalizeLocales = require('../lib/private/normalize-locales');
+
+
+
+var FR = {
+  invalidParams: 'Impossible de traiter cette requête ({method} {path}) : {count} paramètre(s) manquant(s) ou invalide(s).',
+  invalidParamsTip: 'Astuce : vérifiez les données envoyées par le client.',
+  problemMissing: 'Le paramètre « {name} » est obligatoire.',
+  problemWrongType: 'Le paramètre « {name} » doit être de type {expected}.'
+};
+
+
+
+testRoute('with `locales`, validation errors should be localized according to the `Accept-Language` header', {
+
+  _testOpts: {
+    routeAddress: 'POST /pets',
+    method: 'POST',
+    path: '/pets',
+    params: { age: 'three' },
+    headers: { 'accept-language': 'de;q=0.9, fr-CA, en;q=0.8' }
+  },
+
+  locales: { fr: FR },
+
+  inputs: {
+    name: { type: 'string', required: true },
+    age: { type: 'number' }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success();
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 400 error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 400);
+    assert.equal(err.body.message, 'Impossible de traiter cette requête (POST /pets) : 2 paramètre(s) manquant(s) ou invalide(s).  Astuce : vérifiez les données envoyées par le client.');
+    assert.deepEqual(err.body.problems.sort(), [
+      'Le paramètre « age » doit être de type Number.',
+      'Le paramètre « name » est obligatoire.'
+    ]);
+    assert.equal(_.find(err.body.inputProblems, { input: 'name' }).message, 'Le paramètre « name » est obligatoire.');
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `locales` and `problemDetails`, each of the localized problems should still say which input it is about', {
+
+  _testOpts: {
+    routeAddress: 'POST /pets',
+    method: 'POST',
+    path: '/pets',
+    params: { age: 'three' },
+    headers: { 'accept-language': 'fr' }
+  },
+
+  locales: { fr: FR },
+  problemDetails: true,
+
+  inputs: {
+    name: { type: 'string', required: true },
+    age: { type: 'number' }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success();
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 400 error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 400);
+    var problemDetails = JSON.parse(err.body);
+    assert.deepEqual(_.sortBy(problemDetails['invalid-params'], 'name'), [
+      { name: 'age', reason: 'Le paramètre « age » doit être de type Number.' },
+      { name: 'name', reason: 'Le paramètre « name » est obligatoire.' }
+    ]);
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `locales`, validation errors should stay in English if no other locale is acceptable', {
+
+  _testOpts: {
+    routeAddress: 'POST /pets',
+    method: 'POST',
+    path: '/pets',
+    params: {},
+    headers: { 'accept-language': 'de' }
+  },
+
+  locales: { fr: FR },
+
+  inputs: {
+    name: { type: 'string', required: true }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success();
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 400 error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 400);
+    assert(err.body.message.match(/^The server could not fulfill this request \(`POST \/pets`\) due to 1 missing or invalid parameter\./));
+    assert.deepEqual(err.body.problems, ['"name" is required, but it was not defined.']);
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+describe('buildTranslator()', function() {
+  var catalogues = normalizeLocales({ fr: FR, 'pt-BR': { timeout: 'Tempo esgotado ({timeout}ms).' } });
+
+  it('should prefer `req.getLocale()` (i.e. Sails i18n) when it exists', function() {
+    var t = buildTranslator({
+      getLocale: function() { return 'pt-br'; },
+      get: function() { return 'fr'; }
+    }, catalogues);
+    assert.equal(t.locale, 'pt-br');
+    assert.equal(t('timeout', { timeout: 20 }), 'Tempo esgotado (20ms).');
+    // (Messages that the bundle doesn't include fall back to English.)
+    assert.equal(t('internalError', { message: 'oops' }), 'Internal error occurred while running this action:  oops');
+  });
+
+  it('should use English if there is no locale info', function() {
+    assert.equal(buildTranslator({ get: function() { return undefined; } }, catalogues).locale, 'en');
+  });
+});
+
+
+
+describe('with an unrecognized message in one of the `locales`', function() {
+  it('should refuse to build the action', function() {
+    assert.throws(function() {
+      asAction({
+        locales: { fr: { notARealMessage: 'Bonjour' } },
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, /notARealMessage/);
+  });
+});
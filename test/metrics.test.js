@@ -0,0 +1,76 @@
+var assert = require('assert');
+var asAction = require('../');
+var sendRequestsToServer = require('./util/send-requests-to-server.util');
+
+
+
+describe('machineAsAction.metrics', function() {
+
+  beforeEach(function() {
+    asAction.metrics.reset();
+    asAction.metrics.enable({ buckets: [0.1, 1] });
+  });
+
+  afterEach(function() {
+    asAction.metrics.disable();
+    asAction.metrics.reset();
+  });
+
+  it('should record requests (by exit and status code) and validation failures, and render them for Prometheus', function(done) {
+    var action = asAction({
+      identity: 'find-pet',
+      adapter: 'http',
+      inputs: {
+        id: { type: 'number', required: true }
+      },
+      exits: {
+        notFound: { statusCode: 404 }
+      },
+      fn: function(inputs, exits) {
+        if (inputs.id !== 7) { return exits.notFound(); }
+        return exits.success();
+      }
+    });
+
+    sendRequestsToServer(action, ['/?id=7', '/?id=7', '/?id=8', '/?id=nope'], function(err) {
+      if (err) { return done(err); }
+      try {
+        var rendered = asAction.metrics.render();
+        assert(rendered.indexOf('# TYPE machine_as_action_requests_total counter\n') !== -1);
+        assert(rendered.indexOf('machine_as_action_requests_total{action="find-pet",exit="success",status_code="200"} 2\n') !== -1);
+        assert(rendered.indexOf('machine_as_action_requests_total{action="find-pet",exit="notFound",status_code="404"} 1\n') !== -1);
+        assert(rendered.indexOf('machine_as_action_requests_total{action="find-pet",exit="error",status_code="400"} 1\n') !== -1);
+        assert(rendered.indexOf('# TYPE machine_as_action_request_duration_seconds histogram\n') !== -1);
+        assert(rendered.indexOf('machine_as_action_request_duration_seconds_bucket{action="find-pet",exit="success",status_code="200",le="1"} 2\n') !== -1);
+        assert(rendered.indexOf('machine_as_action_request_duration_seconds_bucket{action="find-pet",exit="success",status_code="200",le="+Inf"} 2\n') !== -1);
+        assert(rendered.indexOf('machine_as_action_request_duration_seconds_count{action="find-pet",exit="success",status_code="200"} 2\n') !== -1);
+        assert(rendered.indexOf('machine_as_action_validation_failures_total{action="find-pet"} 1\n') !== -1);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should not record anything while disabled', function(done) {
+    asAction.metrics.disable();
+    var action = asAction({
+      identity: 'find-pet',
+      adapter: 'http',
+      fn: function(inputs, exits) { return exits.success(); }
+    });
+
+    sendRequestsToServer(action, ['/'], function(err) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(asAction.metrics.render().indexOf('find-pet'), -1);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should refuse invalid buckets', function() {
+    assert.throws(function() {
+      asAction.metrics.enable({ buckets: [1, 0.5] });
+    }, /buckets/);
+  });
+
+});
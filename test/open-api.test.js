@@ -0,0 +1,161 @@
+var assert = require('assert');
+var asAction = require('../');
+
+
+
+describe('buildOpenApiDocument()', function() {
+
+  var doc;
+  before(function() {
+    doc = asAction.buildOpenApiDocument({
+
+      'GET /users/:id': asAction({
+        friendlyName: 'View user',
+        description: 'Look up a user.',
+        inputs: {
+          id: { type: 'number', required: true },
+          apiVersion: { type: 'number', in: 'header', name: 'X-Api-Version' }
+        },
+        exits: {
+          success: { outputExample: { id: 3, name: 'Lisa', tags: ['foo'] } },
+          notFound: { description: 'No such user.', statusCode: 404 }
+        }
+      }),
+
+      'POST /users/:id/avatar': {
+        fn: asAction({
+          friendlyName: 'Upload avatar',
+          files: ['avatar'],
+          inputs: {
+            id: { type: 'number', required: true },
+            avatar: { example: '===', required: true },
+            caption: { type: 'string' }
+          }
+        })
+      },
+
+      'GET /docs/*': asAction({
+        urlWildcardSuffix: 'docPath',
+        inputs: {
+          docPath: { type: 'string', required: true }
+        },
+        exits: {
+          success: { responseType: 'view', viewTemplatePath: 'pages/doc' },
+          moved: { responseType: 'redirect' }
+        }
+      }),
+
+      'GET /legacy': 'LegacyController.find'
+
+    }, { info: { title: 'Test API', version: '1.0.0' } });
+  });
+
+  it('should build an operation for each action', function() {
+    assert.equal(doc.openapi, '3.0.3');
+    assert.equal(doc.info.title, 'Test API');
+    assert.deepEqual(Object.keys(doc.paths).sort(), ['/docs/{docPath}', '/users/{id}', '/users/{id}/avatar']);
+    assert.equal(doc.paths['/users/{id}'].get.operationId, 'view-user');
+    assert.equal(doc.paths['/users/{id}'].get.summary, 'View user');
+    assert.equal(doc.paths['/users/{id}'].get.description, 'Look up a user.');
+  });
+
+  it('should build parameters from inputs', function() {
+    var parameters = doc.paths['/users/{id}'].get.parameters;
+    assert.deepEqual(parameters[0], { name: 'id', in: 'path', required: true, schema: { type: 'number' } });
+    assert.deepEqual(parameters[1], { name: 'X-Api-Version', in: 'header', required: false, schema: { type: 'number' } });
+    assert.equal(doc.paths['/docs/{docPath}'].get.parameters[0].name, 'docPath');
+  });
+
+  it('should document `files` inputs as multipart', function() {
+    var schema = doc.paths['/users/{id}/avatar'].post.requestBody.content['multipart/form-data'].schema;
+    assert.deepEqual(schema.properties.avatar, { type: 'string', format: 'binary' });
+    assert.deepEqual(schema.properties.caption, { type: 'string' });
+    assert.deepEqual(schema.required, ['avatar']);
+  });
+
+  it('should infer the type of inputs that only have an `example`', function() {
+    var action = asAction({
+      inputs: { q: { type: 'string' } },
+      fn: function(inputs, exits) { return exits.success(); }
+    });
+    // (Simulate a definition whose inputs weren't normalized to have a `type`.)
+    var def = action.getDef();
+    action.getDef = function() {
+      return Object.assign({}, def, { inputs: { q: { example: 'cats' }, tags: { example: ['cute'] } } });
+    };
+
+    var parameters = asAction.buildOpenApiDocument({ 'GET /search': action }).paths['/search'].get.parameters;
+    assert.deepEqual(parameters[0].schema, { type: 'string', example: 'cats' });
+    assert.deepEqual(parameters[1].schema, { type: 'array', items: { type: 'string' } });
+  });
+
+  it('should build responses from exits', function() {
+    var responses = doc.paths['/users/{id}'].get.responses;
+    assert.deepEqual(Object.keys(responses), ['200', '400', '404', '500']);
+    assert.equal(responses['200'].content['application/json'].schema.properties.tags.items.type, 'string');
+    assert.equal(responses['404'].description, 'No such user.');
+    assert(doc.paths['/docs/{docPath}'].get.responses['200'].content['text/html']);
+    assert(doc.paths['/docs/{docPath}'].get.responses['302'].headers.Location);
+  });
+
+  it('should document validation errors, including their per-input problems', function() {
+    var schema = doc.paths['/users/{id}'].get.responses['400'].content['application/json'].schema;
+    assert.equal(schema.properties.code.type, 'string');
+    assert.equal(schema.properties.inputProblems.type, 'array');
+    assert.equal(schema.properties.inputProblems.items.properties.parameter.properties.in.type, 'string');
+  });
+
+  it('should document validation errors w/ the status code from `invalidParamsResponse`', function() {
+    var responses = asAction.buildOpenApiDocument({
+      'POST /users': asAction({
+        invalidParamsResponse: { responseType: '', statusCode: 422 },
+        inputs: { name: { type: 'string', required: true } }
+      })
+    }).paths['/users'].post.responses;
+    assert.deepEqual(Object.keys(responses).sort(), ['200', '422', '500']);
+    assert(responses['422'].content['application/json'].schema.properties.inputProblems);
+  });
+
+  it('should document validation errors as Problem Details documents w/ `problemDetails`', function() {
+    var responses = asAction.buildOpenApiDocument({
+      'POST /users': asAction({
+        problemDetails: true,
+        inputs: { name: { type: 'string', required: true } }
+      })
+    }).paths['/users'].post.responses;
+    assert.deepEqual(Object.keys(responses['400'].content), ['application/problem+json']);
+    assert(responses['400'].content['application/problem+json'].schema.properties['invalid-params']);
+  });
+
+  it('should document a 406 if any of the exits use content negotiation', function() {
+    var responses = asAction.buildOpenApiDocument({
+      'GET /pet': asAction({
+        exits: { success: { outputExample: { name: 'Tigger' }, representations: { 'application/json': {}, 'text/plain': {} } } }
+      })
+    }).paths['/pet'].get.responses;
+    assert(responses['406']);
+    assert(responses['406'].content['text/plain']);
+  });
+
+  it('should document the `Idempotency-Key` header, and the 409 and 422 errors, w/ `idempotent`', function() {
+    var operation = asAction.buildOpenApiDocument({
+      'POST /charges': asAction({
+        idempotent: true,
+        problemDetails: true,
+        exits: { success: { outputExample: { id: 123 } } }
+      })
+    }).paths['/charges'].post;
+    assert.equal(operation.parameters[0].name, 'Idempotency-Key');
+    assert.equal(operation.parameters[0].in, 'header');
+    assert(operation.responses['409'].content['application/problem+json']);
+    assert(operation.responses['422'].content['application/problem+json']);
+
+    // (The `idempotent` option doesn't apply to GET requests.)
+    var responses = asAction.buildOpenApiDocument({
+      'GET /charges': asAction({ idempotent: true, exits: { success: { outputExample: { id: 123 } } } })
+    }).paths['/charges'].get.responses;
+    assert(!responses['409']);
+    assert(!responses['422']);
+  });
+
+});
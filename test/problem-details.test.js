@@ -0,0 +1,134 @@
+var assert = require('assert');
+var testRoute = require('./util/test-route.util');
+
+
+
+testRoute('with `problemDetails`, validation errors should be sent as a Problem Details document', {
+
+  problemDetails: true,
+
+  _testOpts: {
+    routeAddress: 'POST /pets',
+    method: 'POST',
+    path: '/pets',
+    params: {
+      age: 'not a number'
+    }
+  },
+
+  inputs: {
+    name: { type: 'string', required: true },
+    age: { type: 'number' }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success();
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a bad request error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 400);
+    var problemDetails = JSON.parse(err.body);
+    assert.equal(problemDetails.type, 'about:blank');
+    assert.equal(problemDetails.title, 'Bad Request');
+    assert.equal(problemDetails.status, 400);
+    assert.equal(problemDetails.instance, '/pets');
+    assert.equal(problemDetails.code, 'E_MISSING_OR_INVALID_PARAMS');
+    assert.deepEqual(_names(problemDetails['invalid-params']), ['age', 'name']);
+  } catch (e) { return done(e); }
+  return done();
+
+  function _names(invalidParams) {
+    return invalidParams.map(function(invalidParam) { return invalidParam.name; }).sort();
+  }
+});
+
+
+
+testRoute('with `problemDetails` and an `invalidParamsResponse` w/ a `statusCode`, validation errors should be sent w/ that status code', {
+
+  problemDetails: true,
+
+  invalidParamsResponse: { responseType: '', statusCode: 422 },
+
+  _testOpts: {
+    routeAddress: 'POST /pets',
+    method: 'POST',
+    path: '/pets',
+    params: {}
+  },
+
+  inputs: {
+    name: { type: 'string', required: true }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success();
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 422 error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 422);
+    var problemDetails = JSON.parse(err.body);
+    assert.equal(problemDetails.status, 422);
+    assert.equal(problemDetails.code, 'E_MISSING_OR_INVALID_PARAMS');
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `problemDetails`, an exit w/ an error status code should be sent as a Problem Details document', {
+
+  problemDetails: true,
+
+  exits: {
+    notFound: {
+      description: 'No pet with that name could be found.',
+      moreInfoUrl: 'https://example.com/problems/pet-not-found',
+      statusCode: 404,
+      outputExample: { name: 'Tigger' }
+    }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.notFound({ name: 'Tigger' });
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 404 error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 404);
+    assert.deepEqual(JSON.parse(err.body), {
+      type: 'https://example.com/problems/pet-not-found',
+      title: 'No pet with that name could be found.',
+      status: 404,
+      instance: '/',
+      name: 'Tigger'
+    });
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `problemDetails`, the error exit should be sent as a Problem Details document', {
+
+  problemDetails: true,
+
+  fn: function(inputs, exits) {
+    return exits.error(new Error('Something went terribly wrong.'));
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 500 error! Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 500);
+    var problemDetails = JSON.parse(err.body);
+    assert.equal(problemDetails.status, 500);
+    assert.equal(problemDetails.detail, 'Something went terribly wrong.');
+  } catch (e) { return done(e); }
+  return done();
+});
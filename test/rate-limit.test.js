@@ -0,0 +1,143 @@
+var assert = require('assert');
+var asAction = require('../');
+var buildMemoryRateLimitStore = require('../lib/private/build-memory-rate-limit-store');
+var sendRequestsToServer = require('./util/send-requests-to-server.util');
+
+
+
+describe('with `rateLimit`', function() {
+
+  it('should respond w/ a 429 (w/o running the action) once the limit is exceeded', function(done) {
+    var numRuns = 0;
+    var action = asAction({
+      adapter: 'http',
+      rateLimit: { windowMs: 60000, max: 2 },
+      fn: function(inputs, exits) {
+        numRuns++;
+        return exits.success();
+      }
+    });
+
+    sendRequestsToServer(action, ['/', '/', '/'], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(responses[0].statusCode, 200);
+        assert.equal(responses[0].headers['ratelimit-limit'], '2');
+        assert.equal(responses[0].headers['ratelimit-remaining'], '1');
+        assert.equal(responses[1].statusCode, 200);
+        assert.equal(responses[1].headers['ratelimit-remaining'], '0');
+        assert.equal(responses[2].statusCode, 429);
+        assert.equal(responses[2].headers['ratelimit-remaining'], '0');
+        assert(Number(responses[2].headers['retry-after']) > 0 && Number(responses[2].headers['retry-after']) <= 60);
+        assert.equal(responses[2].headers['ratelimit-reset'], responses[2].headers['retry-after']);
+        assert(responses[2].body.match(/^Too many requests\./));
+        assert.equal(numRuns, 2);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should keep track of hits per key (e.g. per input value), and respond through the `tooManyRequests` exit if there is one', function(done) {
+    var action = asAction({
+      adapter: 'http',
+      rateLimit: { windowMs: 60000, max: 1, key: 'input:apiKey' },
+      inputs: {
+        apiKey: { type: 'string', required: true }
+      },
+      exits: {
+        tooManyRequests: { statusCode: 429, outputExample: 'Slow down!' }
+      },
+      fn: function(inputs, exits) {
+        return exits.success();
+      }
+    });
+
+    sendRequestsToServer(action, ['/?apiKey=a', '/?apiKey=b', '/?apiKey=a'], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(responses[0].statusCode, 200);
+        assert.equal(responses[1].statusCode, 200);
+        assert.equal(responses[2].statusCode, 429);
+        assert.equal(responses[2].headers['x-exit'], 'tooManyRequests');
+        assert(responses[2].headers['retry-after']);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should use the provided `store`', function(done) {
+    var incrementedKeys = [];
+    var action = asAction({
+      identity: 'do-something',
+      adapter: 'http',
+      rateLimit: {
+        windowMs: 1000,
+        max: 5,
+        key: function(req) { return req.headers['x-forwarded-for'] || 'nobody'; },
+        store: {
+          increment: function(key, windowMs, done) {
+            incrementedKeys.push(key);
+            return done(undefined, { totalHits: 6, resetTime: new Date(Date.now() + windowMs) });
+          }
+        }
+      },
+      fn: function(inputs, exits) {
+        return exits.success();
+      }
+    });
+
+    sendRequestsToServer(action, ['/'], function(err, responses) {
+      if (err) { return done(err); }
+      try {
+        assert.deepEqual(incrementedKeys, ['do-something:nobody']);
+        assert.equal(responses[0].statusCode, 429);
+        assert.equal(responses[0].headers['retry-after'], '1');
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should refuse to build the action if `max` is invalid', function() {
+    assert.throws(function() {
+      asAction({
+        rateLimit: { windowMs: 1000, max: 0 },
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, /max/);
+  });
+
+  it('should refuse to build the action if `key` refers to an input that does not exist', function() {
+    assert.throws(function() {
+      asAction({
+        rateLimit: { windowMs: 1000, max: 10, key: 'input:nope' },
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, /nope/);
+  });
+
+});
+
+
+
+describe('buildMemoryRateLimitStore()', function() {
+  it('should start a new window once the current one ends', function(done) {
+    var store = buildMemoryRateLimitStore();
+    store.increment('foo', 20, function(err, hits) {
+      if (err) { return done(err); }
+      assert.equal(hits.totalHits, 1);
+      store.increment('foo', 20, function(err, hits) {
+        if (err) { return done(err); }
+        assert.equal(hits.totalHits, 2);
+        setTimeout(function() {
+          store.increment('foo', 20, function(err, hits) {
+            if (err) { return done(err); }
+            try {
+              assert.equal(hits.totalHits, 1);
+            } catch (e) { return done(e); }
+            return done();
+          });
+        }, 30);
+      });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+var assert = require('assert');
+var asAction = require('../');
+var testRoute = require('./util/test-route.util');
+
+
+
+testRoute('with `responseHeaders`, static and computed headers should be sent', {
+
+  exits: {
+    success: {
+      outputExample: { id: 3, fileName: 'report.csv' },
+      responseHeaders: {
+        'Retry-After': 120,
+        'X-Whatever': 'stuff',
+        'Content-Disposition': function(output) { return 'attachment; filename="'+output.fileName+'"'; },
+        'X-Nothing': function() { return undefined; }
+      }
+    }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ id: 3, fileName: 'report.csv' });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.equal(resp.headers['retry-after'], '120');
+    assert.equal(resp.headers['x-whatever'], 'stuff');
+    assert.equal(resp.headers['content-disposition'], 'attachment; filename="report.csv"');
+    assert(!resp.headers['x-nothing']);
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `responseHeaders` on a redirect, headers should be sent along w/ the redirect', {
+
+  exits: {
+    success: {
+      responseType: 'redirect',
+      responseHeaders: {
+        'X-Redirected-To': function(url) { return url; }
+      }
+    }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success('/somewhere-else');
+  }
+
+}, function(err, resp, body, done) {
+  // (Sails virtual requests treat redirects as errors.)
+  var headers = err ? err.headers : resp.headers;
+  try {
+    assert.equal(headers['x-redirected-to'], '/somewhere-else');
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+describe('with `responseHeaders` that include an invalid header value', function() {
+  it('should refuse to build the action', function() {
+    assert.throws(function() {
+      asAction({
+        exits: {
+          success: { responseHeaders: { 'X-Stuff': { not: 'a string' } } }
+        },
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, function(err) { return err.code === 'E_INVALID_RES_METADATA_IN_EXIT_DEF'; });
+  });
+});
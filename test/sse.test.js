@@ -0,0 +1,117 @@
+var assert = require('assert');
+var EventEmitter = require('events').EventEmitter;
+var asAction = require('../');
+var sendRequestsToServer = require('./util/send-requests-to-server.util');
+
+
+
+describe('with `responseType: \'sse\'`', function() {
+
+  it('should send each item from an event emitter as a Server-Sent Event', function(done) {
+    var action = asAction({
+      adapter: 'http',
+      exits: {
+        success: { responseType: 'sse', outputExample: '===' }
+      },
+      fn: function(inputs, exits) {
+        var emitter = new EventEmitter();
+        exits.success(emitter);
+        emitter.emit('data', { temperature: 70 });
+        emitter.emit('data', { event: 'reading', id: 2, retry: 5000, data: { temperature: 71 } });
+        setTimeout(function() {
+          emitter.emit('data', 'plain\ntext');
+          emitter.emit('end');
+        }, 20);
+      }
+    });
+
+    sendRequestsToServer(action, {}, function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 200);
+        assert(response.headers['content-type'].match(/^text\/event-stream/));
+        assert.equal(response.headers['cache-control'], 'no-cache');
+        assert.equal(response.body,
+          'data: {"temperature":70}\n\n'+
+          'event: reading\nid: 2\nretry: 5000\ndata: {"temperature":71}\n\n'+
+          'data: plain\ndata: text\n\n'
+        );
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should pass in the `Last-Event-ID` header as the `lastEventId` input', function(done) {
+    var action = asAction({
+      adapter: 'http',
+      inputs: {
+        lastEventId: { type: 'number' }
+      },
+      exits: {
+        success: { responseType: 'sse', outputExample: [{ n: 1 }] }
+      },
+      fn: function(inputs, exits) {
+        var n = inputs.lastEventId || 0;
+        var emitter = new EventEmitter();
+        exits.success(emitter);
+        emitter.emit('data', { id: n+1, data: { n: n+1 } });
+        emitter.emit('end');
+      }
+    });
+
+    sendRequestsToServer(action, { headers: { 'last-event-id': '41' } }, function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.body, 'id: 42\ndata: {"n":42}\n\n');
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should send heartbeats, and stop reading items once the user agent disconnects', function(done) {
+    var didStopReading = false;
+    var action = asAction({
+      adapter: 'http',
+      exits: {
+        success: { responseType: 'sse', outputExample: [{ n: 1 }], heartbeatInterval: 10 }
+      },
+      fn: function(inputs, exits) {
+        var iterable = {};
+        iterable[global.Symbol.asyncIterator] = function() {
+          return {
+            next: function() {
+              return new global.Promise(function() {});// (never provides an item)
+            },
+            return: function() {
+              didStopReading = true;
+              return global.Promise.resolve({ done: true });
+            }
+          };
+        };
+        return exits.success(iterable);
+      }
+    });
+
+    sendRequestsToServer(action, {
+      onData: function(body, disconnect) {
+        if (body.match(/^(:\n\n){2}/)) { disconnect(); }
+      }
+    }, function(err) {
+      if (err) { return done(err); }
+      try {
+        assert(didStopReading);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should refuse to build the action if the output example is not an array', function() {
+    assert.throws(function() {
+      asAction({
+        exits: { success: { responseType: 'sse', outputExample: { n: 1 } } },
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, /Server-Sent Events/);
+  });
+
+});
@@ -0,0 +1,229 @@
+var assert = require('assert');
+var Stream = require('stream');
+var asAction = require('../');
+var sendRequestsToServer = require('./util/send-requests-to-server.util');
+
+
+
+/**
+ * Build an async iterable that provides the given items (and then, optionally, fails).
+ *
+ * @param  {Array} items
+ * @param  {Error?} errorAtEnd
+ * @returns {Ref}
+ */
+function buildAsyncIterable(items, errorAtEnd) {
+  var iterable = {};
+  iterable[global.Symbol.asyncIterator] = function() {
+    var i = 0;
+    return {
+      next: function() {
+        if (i < items.length) {
+          i++;
+          return global.Promise.resolve({ done: false, value: items[i-1] });
+        }
+        if (errorAtEnd) {
+          return global.Promise.reject(errorAtEnd);
+        }
+        return global.Promise.resolve({ done: true });
+      }
+    };
+  };
+  return iterable;
+}
+
+
+
+describe('exits whose output is a source of items', function() {
+
+  it('should send the items from an async iterable as newline-delimited JSON', function(done) {
+    var action = asAction({
+      adapter: 'http',
+      exits: {
+        success: { outputExample: [{ id: 1, createdAt: 'Mon, 01 Jan 2018 00:00:00 GMT' }] }
+      },
+      fn: function(inputs, exits) {
+        return exits.success(buildAsyncIterable([
+          { id: 1, createdAt: 'Mon, 01 Jan 2018 00:00:00 GMT' },
+          { id: '2', createdAt: 'Tue, 02 Jan 2018 00:00:00 GMT' },
+          { id: 3, createdAt: 'Wed, 03 Jan 2018 00:00:00 GMT', extra: true }
+        ]));
+      }
+    });
+
+    sendRequestsToServer(action, '/', function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 200);
+        assert(response.headers['content-type'].match(/^application\/x-ndjson/));
+        var lines = response.body.split('\n');
+        assert.equal(lines.length, 4);
+        assert.equal(lines[3], '');
+        assert.deepEqual(JSON.parse(lines[0]), { id: 1, createdAt: 'Mon, 01 Jan 2018 00:00:00 GMT' });
+        // (`strictOutput` only checks each item against the item in the output example-- it doesn't change them.)
+        assert.deepEqual(JSON.parse(lines[1]), { id: '2', createdAt: 'Tue, 02 Jan 2018 00:00:00 GMT' });
+        assert.deepEqual(JSON.parse(lines[2]), { id: 3, createdAt: 'Wed, 03 Jan 2018 00:00:00 GMT', extra: true });
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should send the items from an object-mode stream as a JSON array w/ `streamFormat: \'json\'`', function(done) {
+    var action = asAction({
+      adapter: 'http',
+      exits: {
+        success: { outputExample: [{ id: 1 }], streamFormat: 'json' }
+      },
+      fn: function(inputs, exits) {
+        var objectStream = new Stream.Readable({ objectMode: true, read: function() {} });
+        exits.success(objectStream);
+        objectStream.push({ id: 1 });
+        setTimeout(function() {
+          objectStream.push({ id: 2 });
+          objectStream.push(null);
+        }, 20);
+      }
+    });
+
+    sendRequestsToServer(action, '/', function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 200);
+        assert(response.headers['content-type'].match(/^application\/json/));
+        assert.deepEqual(JSON.parse(response.body), [{ id: 1 }, { id: 2 }]);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should send an empty JSON array if there are no items', function(done) {
+    var action = asAction({
+      adapter: 'http',
+      exits: {
+        success: { outputExample: [{ id: 1 }], streamFormat: 'json' }
+      },
+      fn: function(inputs, exits) {
+        return exits.success(buildAsyncIterable([]));
+      }
+    });
+
+    sendRequestsToServer(action, '/', function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.body, '[]');
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should keep sending items as the response drains', function(done) {
+    var items = [];
+    for (var i = 0; i < 2000; i++) {
+      items.push({ id: i, padding: new Array(512).join('x') });
+    }
+    var action = asAction({
+      adapter: 'http',
+      exits: {
+        success: { outputExample: [{ id: 1, padding: 'x' }] }
+      },
+      fn: function(inputs, exits) {
+        return exits.success(buildAsyncIterable(items));
+      }
+    });
+
+    sendRequestsToServer(action, '/', function(err, response) {
+      if (err) { return done(err); }
+      try {
+        var lines = response.body.trim().split('\n');
+        assert.equal(lines.length, 2000);
+        assert.equal(JSON.parse(lines[1999]).id, 1999);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should end the response early if something goes wrong partway through', function(done) {
+    var action = asAction({
+      adapter: 'http',
+      exits: {
+        success: { outputExample: [{ id: 1 }] }
+      },
+      fn: function(inputs, exits) {
+        return exits.success(buildAsyncIterable([{ id: 1 }], new Error('Lost the database connection.')));
+      }
+    });
+
+    sendRequestsToServer(action, '/', function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.body, '{"id":1}\n');
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should respond w/ a 500 error if something goes wrong before any items are sent', function(done) {
+    var action = asAction({
+      adapter: 'http',
+      onResponseError: function() {},
+      exits: {
+        success: { outputExample: [{ id: 1 }] }
+      },
+      fn: function(inputs, exits) {
+        return exits.success(buildAsyncIterable([], new Error('Lost the database connection.')));
+      }
+    });
+
+    sendRequestsToServer(action, '/', function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 500);
+        assert(response.body.match(/Lost the database connection/));
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should end the response early if the source throws (rather than rejecting) partway through', function(done) {
+    var action = asAction({
+      adapter: 'http',
+      exits: {
+        success: { outputExample: [{ id: 1 }] }
+      },
+      fn: function(inputs, exits) {
+        var iterable = {};
+        iterable[global.Symbol.asyncIterator] = function() {
+          var hasSentItem = false;
+          return {
+            next: function() {
+              if (hasSentItem) { throw new Error('Lost the database connection.'); }
+              hasSentItem = true;
+              return global.Promise.resolve({ done: false, value: { id: 1 } });
+            }
+          };
+        };
+        return exits.success(iterable);
+      }
+    });
+
+    sendRequestsToServer(action, '/', function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.body, '{"id":1}\n');
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should refuse to build the action if `streamFormat` is invalid', function() {
+    assert.throws(function() {
+      asAction({
+        exits: { success: { outputExample: [{ id: 1 }], streamFormat: 'csv' } },
+        fn: function(inputs, exits) { return exits.success(); }
+      });
+    }, /streamFormat/);
+  });
+
+});
@@ -0,0 +1,92 @@
+var assert = require('assert');
+var testRoute = require('./util/test-route.util');
+
+
+
+testRoute('with `strictOutput`, output should be validated, but sent as-is (just like w/o `strictOutput`)', {
+
+  strictOutput: true,
+
+  exits: {
+    success: { outputExample: { name: 'Tigger', age: 3 } }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger', age: '3', favoriteFood: 'extract of malt' });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.deepEqual(body, { name: 'Tigger', age: '3', favoriteFood: 'extract of malt' });
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('without `strictOutput`, the same output should be sent the same way', {
+
+  strictOutput: false,
+
+  exits: {
+    success: { outputExample: { name: 'Tigger', age: 3 } }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger', age: '3', favoriteFood: 'extract of malt' });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.deepEqual(body, { name: 'Tigger', age: '3', favoriteFood: 'extract of malt' });
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `strictOutput` and `rejectInvalidOutput`, output that doesn\'t match the output example should respond w/ a server error', {
+
+  strictOutput: true,
+  rejectInvalidOutput: true,
+
+  exits: {
+    success: { outputExample: { name: 'Tigger', age: 3 } }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger', age: 'three' });
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a server error!  Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 500);
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('without `strictOutput`, output should be sent as-is', {
+
+  strictOutput: false,
+  rejectInvalidOutput: true,
+
+  exits: {
+    success: { outputExample: { name: 'Tigger', age: 3 } }
+  },
+
+  fn: function(inputs, exits) {
+    return exits.success({ name: 'Tigger', age: 'three' });
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.deepEqual(body, { name: 'Tigger', age: 'three' });
+  } catch (e) { return done(e); }
+  return done();
+});
@@ -0,0 +1,103 @@
+var assert = require('assert');
+var asAction = require('../');
+var testRoute = require('./util/test-route.util');
+
+
+
+testRoute('with `timeout`, an action that never calls an exit should respond w/ a 503 error', {
+
+  timeout: 20,
+
+  machine: {
+    fn: function(/*inputs, exits*/) {
+      // (Never calls an exit.)
+    }
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 503 error!  Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 503);
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+testRoute('with `timeout` and `timeoutExit`, an action that takes too long should respond via that exit, and its late exit should be ignored', {
+
+  timeout: 20,
+  timeoutExit: 'tookTooLong',
+
+  machine: {
+    exits: {
+      tookTooLong: { statusCode: 504 }
+    },
+    fn: function(inputs, exits) {
+      setTimeout(function(){
+        return exits.success();
+      }, 40);
+    }
+  }
+
+}, function(err, resp, body, done) {
+  if (!err) { return done(new Error('Should have responded with a 504 error!  Instead got status code 200.')); }
+  try {
+    assert.equal(err.status, 504);
+  } catch (e) { return done(e); }
+  // Wait for the late exit, to make sure it doesn't cause any trouble.
+  setTimeout(done, 40);
+});
+
+
+
+testRoute('with `timeout`, an action that calls an exit in time should respond normally', {
+
+  timeout: 500,
+
+  machine: {
+    exits: {
+      success: { outputExample: 'ok' }
+    },
+    fn: function(inputs, exits) {
+      return exits.success('ok');
+    }
+  }
+
+}, function(err, resp, body, done) {
+  if (err) { return done(err); }
+  try {
+    assert.equal(body, 'ok');
+  } catch (e) { return done(e); }
+  return done();
+});
+
+
+
+describe('with a `timeoutExit` that does not exist', function() {
+  it('should refuse to build the action', function() {
+    assert.throws(function() {
+      asAction({
+        timeout: 1000,
+        timeoutExit: 'nope',
+        machine: {
+          fn: function(inputs, exits) { return exits.success(); }
+        }
+      });
+    }, /timeoutExit/);
+  });
+});
+
+
+
+describe('with a `timeout` in a machine definition provided at the top level', function() {
+  it('should leave it to the machine runner (rather than using it as the `timeout` option)', function() {
+    var action = asAction({
+      timeout: 1000,
+      fn: function(inputs, exits) { return exits.success(); }
+    });
+    assert.equal(action.getDef().timeout, 1000);
+    assert.equal(action.toJSON().timeout, 1000);
+    assert.equal(action.getOptions().timeout, undefined);
+  });
+});
@@ -0,0 +1,140 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var asAction = require('../');
+var buildTraceContext = require('../lib/private/build-trace-context');
+var sendRequestsToServer = require('./util/send-requests-to-server.util');
+
+
+
+describe('machineAsAction.tracing', function() {
+
+  var exporter;
+  var action = asAction({
+    identity: 'find-pet',
+    adapter: 'http',
+    inputs: {
+      id: { type: 'number', required: true },
+      includeOwner: { type: 'boolean' }
+    },
+    exits: {
+      success: { outputExample: { traceId: 'abc', traceparent: 'abc' } }
+    },
+    fn: function(inputs, exits) {
+      return exits.success({ traceId: this.traceContext.traceId, traceparent: this.traceContext.traceparent });
+    }
+  });
+
+  beforeEach(function() {
+    exporter = asAction.tracing.exporters.memory();
+    asAction.tracing.enable({ exporter: exporter });
+  });
+
+  afterEach(function() {
+    asAction.tracing.disable();
+  });
+
+  it('should continue the trace from an incoming `traceparent`, expose it on `env`, and export a span', function(done) {
+    sendRequestsToServer(action, {
+      path: '/?id=7',
+      headers: { traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01', tracestate: 'congo=t61rcWkgMzE' }
+    }, function(err, response) {
+      if (err) { return done(err); }
+      try {
+        var body = JSON.parse(response.body);
+        assert.equal(body.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+        assert.equal(response.headers.traceparent, body.traceparent);
+        assert(response.headers.traceparent.match(/^00-4bf92f3577b34da6a3ce929d0e0e4736-[0-9a-f]{16}-01$/));
+        assert.notEqual(response.headers.traceparent.split('-')[2], '00f067aa0ba902b7');
+
+        var spans = exporter.getSpans();
+        assert.equal(spans.length, 1);
+        assert.equal(spans[0].name, 'find-pet');
+        assert.equal(spans[0].traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+        assert.equal(spans[0].parentSpanId, '00f067aa0ba902b7');
+        assert.equal(spans[0].spanId, response.headers.traceparent.split('-')[2]);
+        assert.equal(spans[0].status, 'ok');
+        assert(spans[0].endTime >= spans[0].startTime);
+        assert.equal(spans[0].attributes['machine_as_action.identity'], 'find-pet');
+        assert.equal(spans[0].attributes['machine_as_action.exit'], 'success');
+        assert.equal(spans[0].attributes['http.status_code'], 200);
+        assert.deepEqual(spans[0].attributes['machine_as_action.input_names'], ['id']);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should start a new trace if there is no valid `traceparent`', function(done) {
+    sendRequestsToServer(action, {
+      path: '/?id=nope',
+      headers: { traceparent: '00-00000000000000000000000000000000-00f067aa0ba902b7-01' }
+    }, function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.statusCode, 400);
+        var spans = exporter.getSpans();
+        assert.equal(spans.length, 1);
+        assert.equal(spans[0].parentSpanId, undefined);
+        assert.notEqual(spans[0].traceId, '00000000000000000000000000000000');
+        assert.equal(spans[0].attributes['machine_as_action.exit'], 'error');
+        assert.equal(spans[0].attributes['http.status_code'], 400);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+  it('should not touch `traceparent` or export spans while disabled', function(done) {
+    asAction.tracing.disable();
+    sendRequestsToServer(asAction({
+      adapter: 'http',
+      fn: function(inputs, exits) { return exits.success(); }
+    }), { path: '/' }, function(err, response) {
+      if (err) { return done(err); }
+      try {
+        assert.equal(response.headers.traceparent, undefined);
+        assert.equal(exporter.getSpans().length, 0);
+      } catch (e) { return done(e); }
+      return done();
+    });
+  });
+
+});
+
+
+
+describe('buildTraceContext()', function() {
+
+  it('should ignore `tracestate` w/o a valid `traceparent`', function() {
+    var traceContext = buildTraceContext('not a traceparent', 'congo=t61rcWkgMzE');
+    assert.equal(traceContext.tracestate, undefined);
+    assert.equal(traceContext.parentSpanId, undefined);
+    assert(traceContext.traceparent.match(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/));
+  });
+
+  it('should pass `tracestate` along w/ a valid `traceparent`', function() {
+    var traceContext = buildTraceContext('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00', 'congo=t61rcWkgMzE');
+    assert.equal(traceContext.tracestate, 'congo=t61rcWkgMzE');
+    assert.equal(traceContext.traceFlags, '00');
+  });
+
+});
+
+
+
+describe('the JSON lines span exporter', function() {
+  it('should append each span to the file as a line of JSON', function(done) {
+    var filePath = path.join(os.tmpdir(), 'machine-as-action-spans-'+process.pid+'-'+Date.now()+'.jsonl');
+    var exporter = asAction.tracing.exporters.jsonLines({ path: filePath });
+    exporter.export({ name: 'a' });
+    exporter.export({ name: 'b' });
+    exporter.close(function() {
+      try {
+        var lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        assert.deepEqual(lines.map(function(line) { return JSON.parse(line).name; }), ['a', 'b']);
+      } catch (e) { return done(e); }
+      finally { fs.unlinkSync(filePath); }
+      return done();
+    });
+  });
+});
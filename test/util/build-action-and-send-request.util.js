@@ -52,7 +52,12 @@ module.exports = function buildActionAndSendRequest(app, opts, testResponseFn) {
   app.router.flush(newRoutesMapping);
 
   // ¬ Should now be able to hit route w/ an appropriate request.
-  app.request(opts._testOpts.method + ' ' + opts._testOpts.path, opts._testOpts.params, function(err, clientRes, body) {
+  app.request({
+    method: opts._testOpts.method,
+    url: opts._testOpts.path,
+    params: opts._testOpts.params,
+    headers: opts._testOpts.headers || {}
+  }, function(err, clientRes, body) {
     if (err) {
       return testResponseFn(err);
     }
@@ -0,0 +1,134 @@
+/**
+ * Module dependencies
+ */
+
+var http = require('http');
+var _ = require('@sailshq/lodash');
+
+
+
+/**
+ * Start a bare Node.js HTTP server, send it some requests, then stop it.
+ *
+ * Requests are sent one at a time (i.e. each after the response to the previous one has ended),
+ * unless they're marked as `concurrent`.
+ *
+ * @param  {Function} handler           [passed to `http.createServer()`]
+ * @param  {Array|Dictionary|String} requests
+ *         A list of requests to send (or just one), each either a path to send a GET request to,
+ *         or a dictionary:
+ *         @property {String?} method      [default: 'GET']
+ *         @property {String?} path        [default: '/']
+ *         @property {Dictionary?} headers
+ *         @property {String|Dictionary?} body
+ *                   A dictionary is sent as JSON (w/ a `Content-Type` of `application/json`).
+ *         @property {Boolean?} concurrent
+ *                   If set, this request is sent shortly after the previous one, w/o waiting for
+ *                   its response.
+ *         @property {Function?} onData
+ *                   Called each time part of the response body is received.
+ *                   @param {String} bodySoFar
+ *                   @param {Function} disconnect   [call to abort the request, as if the user agent went away]
+ *         @property {Number?} disconnectAfter
+ *                   If set, the request is aborted this many milliseconds after it is sent (unless the
+ *                   response has ended by then), as if the user agent went away.  (Its response will
+ *                   have whatever status code and body were received, if any.)
+ *
+ * @param  {Function} done
+ *         @param {Error?} err
+ *         @param {Array|Dictionary} responses
+ *                A list of responses in the same order as `requests` (or just one, if only one request
+ *                was passed in), each w/ `statusCode`, `headers`, and `body`.
+ */
+module.exports = function sendRequestsToServer(handler, requests, done) {
+
+  var isSingleRequest = !_.isArray(requests);
+  requests = _.map(isSingleRequest ? [requests] : requests, function(request) {
+    return _.isString(request) ? { path: request } : request;
+  });
+
+  var server = http.createServer(handler);
+  var responses = [];
+  var numResponses = 0;
+  var hasFinished = false;
+  var _finish = function(err) {
+    if (hasFinished) { return; }
+    hasFinished = true;
+    server.close();
+    // (Give the last `finish` event a chance to fire on the server side.)
+    setImmediate(function() {
+      if (err) { return done(err); }
+      return done(undefined, isSingleRequest ? responses[0] : responses);
+    });
+  };//ƒ
+
+  server.listen(0, function() {
+    (function _sendRequest(i) {
+      if (i >= requests.length) { return; }
+      var request = requests[i];
+
+      var headers = _.extend({}, request.headers);
+      var body = request.body;
+      if (_.isObject(body)) {
+        body = JSON.stringify(body);
+        headers['content-type'] = headers['content-type'] || 'application/json';
+      }
+
+      var isDisconnected = false;
+      var chunks = [];
+      var _onResponseEnded = function(clientRes) {
+        if (responses[i]) { return; }
+        clientRes = clientRes || {};
+        responses[i] = { statusCode: clientRes.statusCode, headers: clientRes.headers || {}, body: Buffer.concat(chunks).toString('utf8') };
+        numResponses++;
+        if (numResponses === requests.length) {
+          return _finish();
+        }
+        if (requests[i+1] && !requests[i+1].concurrent) { _sendRequest(i+1); }
+      };//ƒ
+
+      var clientRes;
+      var clientReq = http.request({
+        port: server.address().port,
+        method: request.method || 'GET',
+        path: request.path || '/',
+        headers: headers,
+        agent: false
+      }, function(_clientRes) {
+        clientRes = _clientRes;
+        clientRes.on('data', function(chunk) {
+          chunks.push(chunk);
+          if (request.onData) {
+            request.onData(Buffer.concat(chunks).toString('utf8'), _disconnect);
+          }
+        });
+        clientRes.on('end', function() { _onResponseEnded(clientRes); });
+        clientRes.on('error', function(err) {
+          if (isDisconnected) { return; }
+          return _finish(err);
+        });
+      });
+      clientReq.on('error', function(err) {
+        if (isDisconnected) { return; }
+        return _finish(err);
+      });
+      clientReq.end(body);
+
+      var _disconnect = function() {
+        if (isDisconnected || responses[i]) { return; }
+        isDisconnected = true;
+        clientReq.destroy();
+        // (Give the server a chance to notice.)
+        setTimeout(function() { _onResponseEnded(clientRes); }, 50);
+      };//ƒ
+      if (request.disconnectAfter) {
+        setTimeout(_disconnect, request.disconnectAfter);
+      }
+
+      if (requests[i+1] && requests[i+1].concurrent) {
+        setTimeout(function() { _sendRequest(i+1); }, 20);
+      }
+    })(0);
+  });
+
+};
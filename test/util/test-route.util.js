@@ -19,6 +19,7 @@ var buildActionAndSendRequest = require('./build-action-and-send-request.util');
  *         _testOpts.method          - runtime request method
  *         _testOpts.path            - runtime request path
  *         _testOpts.params          - runtime request params (i.e. to send in the body or querystring, whichever is apropos)
+ *         _testOpts.headers         - runtime request headers (optional; names should be lowercased)
  *
  * @param  {[type]} testFn [description]
  * @return {[type]}              [description]